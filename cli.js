@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 import { spawn } from 'node:child_process';
 import { promises as fsPromises, readFileSync } from 'node:fs';
-import { dirname, join } from 'node:path';
+import { dirname, join, resolve } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
@@ -11,6 +11,29 @@ import isSafeRegex from 'safe-regex2';
 import updateNotifier from 'update-notifier';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
+import { classifyCommit, createBumpRules } from './src/bump-rules.js';
+import { extractRelease, isKeepAChangelog, prependRelease } from './src/changelog-file.js';
+import {
+    collectContributors,
+    createChangelogConfig,
+    groupByScope,
+    groupByTicket,
+    groupIntoSections,
+    parseBreakingNotes,
+    parseCoAuthors,
+    parseConventionalSubject,
+    renderTemplate,
+} from './src/changelog.js';
+import { applyCommitFilters, parseCommitFilters } from './src/filters.js';
+import { createForgeLinks, isPullRequestRef, linkifyPullRequests } from './src/forge.js';
+import { MATCH_STRATEGIES, buildMainIndex, filterMissing, getPatchIds, parseCherryPickTrailers } from './src/matching.js';
+import { PR_TEMPLATE_PATHS, createPrProvider, mergePrTemplate } from './src/pr-providers.js';
+import { nextPrereleaseVersion, promoteVersion } from './src/prerelease.js';
+import { createMetadataSource, lookupTicketMetadata } from './src/ticket-metadata.js';
+import { applyTicketUpdates, planTicketUpdates } from './src/ticket-updates.js';
+import { TRACKER_PRESETS, createTracker, createTrackers, linkifyTickets, ticketKey } from './src/trackers.js';
+import { GIT_TAG_SOURCE, getLatestReleaseTag, getVersionSource } from './src/version-sources.js';
+import { findWorkspacePackages, groupCommitsByPackage } from './src/workspaces.js';
 
 const git = simpleGit();
 
@@ -62,6 +85,7 @@ if (upd && semver.valid(upd.latest) && semver.valid(pkg.version) && semver.gt(up
 const argv = yargs(hideBin(process.argv))
     .scriptName('cherrypick-interactive')
     .usage('$0 [options]')
+    .command('finalize [release-version]', 'Tag the merged release PR on --main (idempotent). Version defaults to --version-file on --main.')
     // ── Cherry-pick options ──
     .option('dev', {
         type: 'string',
@@ -81,6 +105,12 @@ const argv = yargs(hideBin(process.argv))
         describe: 'Time window passed to git --since (e.g. "2 weeks ago", "1 month ago").',
         group: 'Cherry-pick options:',
     })
+    .option('target', {
+        type: 'string',
+        describe:
+            'Hotfix mode: cherry-pick from --main into this existing branch (e.g. origin/release/1.8.x). The version file, the hotfix/<version> branch and the PR base follow it; bumps are patch-only. Not combined with --dev or --back-merge.',
+        group: 'Cherry-pick options:',
+    })
     .option('no-fetch', {
         type: 'boolean',
         default: false,
@@ -93,6 +123,61 @@ const argv = yargs(hideBin(process.argv))
         describe: 'Non-interactive: cherry-pick ALL missing commits (oldest → newest).',
         group: 'Cherry-pick options:',
     })
+    .option('from', {
+        type: 'string',
+        describe: 'Start of the dev range (exclusive): tag, SHA, ref, or "last-release" (newest v* tag on --main). Overrides --since.',
+        group: 'Cherry-pick options:',
+    })
+    .option('to', {
+        type: 'string',
+        describe: 'End of the dev range (inclusive). Defaults to --dev.',
+        group: 'Cherry-pick options:',
+    })
+    .option('match', {
+        type: 'string',
+        default: 'subject',
+        describe: 'How to detect commits already on --main: subject, patch-id, trailer, auto.',
+        choices: MATCH_STRATEGIES,
+        group: 'Cherry-pick options:',
+    })
+    .option('include-merges', {
+        type: 'boolean',
+        default: false,
+        describe: 'List merge commits on --dev (first-parent history) so a merged feature can be picked as a unit.',
+        group: 'Cherry-pick options:',
+    })
+    .option('mainline', {
+        type: 'number',
+        default: 1,
+        describe: 'Parent number passed to "git cherry-pick -m" when picking a merge commit.',
+        group: 'Cherry-pick options:',
+    })
+    .option('record-origin', {
+        type: 'boolean',
+        default: false,
+        describe: 'Append "(cherry picked from commit <sha>)" to each picked commit (git cherry-pick -x).',
+        group: 'Cherry-pick options:',
+    })
+    .option('author', {
+        type: 'string',
+        describe: 'Comma-separated regex patterns. Only list commits whose "Name <email>" matches one of them.',
+        group: 'Cherry-pick options:',
+    })
+    .option('exclude-author', {
+        type: 'string',
+        describe: 'Comma-separated regex patterns. Omit commits whose "Name <email>" matches any (e.g. "renovate").',
+        group: 'Cherry-pick options:',
+    })
+    .option('path', {
+        type: 'string',
+        describe: 'Comma-separated globs. Only list commits touching a matching file (e.g. "packages/api/**").',
+        group: 'Cherry-pick options:',
+    })
+    .option('exclude-path', {
+        type: 'string',
+        describe: 'Comma-separated globs. Omit commits that only touch matching files (e.g. "docs/**").',
+        group: 'Cherry-pick options:',
+    })
     .option('ignore-commits', {
         type: 'string',
         describe:
@@ -109,13 +194,14 @@ const argv = yargs(hideBin(process.argv))
     })
     .option('current-version', {
         type: 'string',
-        describe: 'Current version (X.Y.Z). Required when --semantic-versioning is set.',
+        describe: 'Current version (X.Y.Z or a prerelease such as X.Y.Z-rc.1). Required when --semantic-versioning is set.',
         group: 'Version options:',
     })
     .option('version-file', {
         type: 'string',
         default: './package.json',
-        describe: 'Path to package.json (read current version; optional replacement for --current-version)',
+        describe:
+            'Version file to read and bump: package.json, pyproject.toml, Cargo.toml, gradle.properties, VERSION, or "git-tag" (newest v* tag on --main). The format is picked from the file name.',
         group: 'Version options:',
     })
     .option('version-commit-message', {
@@ -130,6 +216,24 @@ const argv = yargs(hideBin(process.argv))
             'Comma-separated regex patterns. If a commit message matches any, it will be treated as a chore for semantic versioning.',
         group: 'Version options:',
     })
+    .option('prerelease', {
+        type: 'string',
+        describe:
+            'Cut a prerelease with this identifier, e.g. "rc" → 1.9.0-rc.1. The counter continues after existing release/<version> branches and tags.',
+        group: 'Version options:',
+    })
+    .option('promote', {
+        type: 'boolean',
+        default: false,
+        describe: 'Release a prerelease current version as final, e.g. 1.9.0-rc.2 → 1.9.0.',
+        group: 'Version options:',
+    })
+    .option('workspaces', {
+        type: 'boolean',
+        default: false,
+        describe: 'Also bump each workspace package touched by the selected commits and add a changelog section per package.',
+        group: 'Version options:',
+    })
 
     // ── Release options ──
     .option('create-release', {
@@ -144,12 +248,93 @@ const argv = yargs(hideBin(process.argv))
         describe: 'After creating the release branch, push and set upstream (origin).',
         group: 'Release options:',
     })
+    .option('existing-release', {
+        type: 'string',
+        choices: ['ask', 'override', 'append', 'abort'],
+        default: 'ask',
+        describe: 'When release/<version> already exists: ask, override (delete and recreate), append (add new commits and update its PR) or abort.',
+        group: 'Release options:',
+    })
+    .option('back-merge', {
+        type: 'boolean',
+        default: false,
+        describe: 'Open a back-merge PR into --dev with the same provider, labels, reviewers and assignees: after the release PR, or in finalize with --back-merge-from main.',
+        group: 'Release options:',
+    })
+    .option('back-merge-from', {
+        type: 'string',
+        choices: ['release', 'main'],
+        default: 'release',
+        describe: 'Back-merge the release branch (right after the release PR) or --main (by finalize, once the release is merged) into --dev.',
+        group: 'Release options:',
+    })
+    .option('publish-release', {
+        type: 'boolean',
+        default: false,
+        describe: 'finalize: also publish a GitHub/GitLab/Gitea release with the changelog as notes.',
+        group: 'Release options:',
+    })
     .option('draft-pr', {
         type: 'boolean',
         default: false,
         describe: 'Create the release PR as a draft.',
         group: 'Release options:',
     })
+    .option('pr-title', {
+        type: 'string',
+        describe: 'Release PR title template. Use {{version}} placeholder. [default: "Release {{version}}"]',
+        group: 'Release options:',
+    })
+    .option('pr-labels', {
+        type: 'string',
+        describe: 'Comma-separated labels to add to the release PR (e.g. "release").',
+        group: 'Release options:',
+    })
+    .option('pr-reviewers', {
+        type: 'string',
+        describe: 'Comma-separated users to request review from; "org/team" requests a team.',
+        group: 'Release options:',
+    })
+    .option('pr-assignees', {
+        type: 'string',
+        describe: 'Comma-separated users to assign the release PR to.',
+        group: 'Release options:',
+    })
+    .option('pr-milestone', {
+        type: 'string',
+        describe: 'Milestone for the release PR; must exist. Use {{version}} placeholder (e.g. "v{{version}}").',
+        group: 'Release options:',
+    })
+    .option('group-by-scope', {
+        type: 'boolean',
+        default: false,
+        describe: 'Sub-group changelog entries by conventional-commit scope (labels from "changelog.scopes" in .cherrypickrc.json).',
+        group: 'Release options:',
+    })
+    .option('group-by-ticket', {
+        type: 'boolean',
+        default: false,
+        describe: 'Lay out the changelog by ticket ID instead of by type (needs a tracker); commits without a ticket come last.',
+        group: 'Release options:',
+    })
+    .option('breaking-notes', {
+        type: 'boolean',
+        default: false,
+        describe: 'Show BREAKING CHANGE footers as notes under their changelog entry.',
+        group: 'Release options:',
+    })
+    .option('contributors', {
+        type: 'boolean',
+        default: false,
+        describe: 'Credit authors and Co-authored-by trailers on each changelog entry and list them in a Contributors section.',
+        group: 'Release options:',
+    })
+    .option('changelog-file', {
+        type: 'string',
+        describe:
+            'Prepend the release notes to this file (e.g. CHANGELOG.md) in the version bump commit. Keep a Changelog files get their Unreleased entries moved under the new version.',
+        group: 'Release options:',
+    })
 
     // ── CI options ──
     .option('ci', {
@@ -184,7 +369,7 @@ const argv = yargs(hideBin(process.argv))
     .option('tracker', {
         type: 'string',
         describe: 'Built-in preset: clickup, jira, linear. Sets ticket-pattern automatically.',
-        choices: ['clickup', 'jira', 'linear'],
+        choices: Object.keys(TRACKER_PRESETS),
         group: 'Tracker options:',
     })
     .option('ticket-pattern', {
@@ -197,6 +382,12 @@ const argv = yargs(hideBin(process.argv))
         describe: 'URL template with {{id}} placeholder (required when using tracker).',
         group: 'Tracker options:',
     })
+    .option('require-ticket', {
+        type: 'boolean',
+        default: false,
+        describe: 'Require a ticket ID on every selected commit: fail in --ci, warn and ask otherwise.',
+        group: 'Tracker options:',
+    })
 
     // ── Profile options ──
     .option('profile', {
@@ -258,9 +449,12 @@ const err = (...a) => console.error(...a);
 const ciResult = {
     version: { previous: null, next: null, bump: null },
     branch: null,
-    commits: { applied: [], skipped: [], total: 0 },
+    commits: { applied: [], skipped: [], matched: [], total: 0 },
     changelog: null,
-    pr: { url: null },
+    packages: [],
+    tickets: [],
+    pr: { url: null, number: null, state: null, draft: null },
+    backMerge: { url: null, number: null, state: null, conflicts: [] },
 };
 
 /**
@@ -291,40 +485,79 @@ async function gitRaw(args) {
     return out.trim();
 }
 
-async function getSubjects(branch) {
-    const out = await gitRaw(['log', '--no-merges', '--pretty=%s', branch]);
-    if (!out) {
-        return new Set();
-    }
-    return new Set(out.split('\n').filter(Boolean));
-}
-
-async function getDevCommits(branch, since) {
+async function getDevCommits(branch, { since, from, to, includeMerges }) {
     const SEP = '|||';
-    const out = await gitRaw(['log', '--no-merges', `--since=${since}`, `--pretty=%H${SEP}%ar${SEP}%s`, branch]);
+    const head = to || branch;
+    const range = from ? [`${from}..${head}`] : [`--since=${since}`, head];
+    // With merges, follow dev's first parent so a merged feature shows up once, as its merge commit.
+    const mergeArgs = includeMerges ? ['--first-parent'] : ['--no-merges'];
+    const out = await gitRaw([
+        'log', ...mergeArgs, `--pretty=%H${SEP}%P${SEP}%ar${SEP}%ct${SEP}%an${SEP}%ae${SEP}%s`, ...range,
+    ]);
 
     if (!out) {
         return [];
     }
     return out.split('\n').map((line) => {
-        const [hash, date, ...rest] = line.split(SEP);
+        const [hash, parents, date, timestamp, author, email, ...rest] = line.split(SEP);
         const subject = rest.join(SEP);
-        return { hash, subject, date: date || '' };
+        const isMerge = parents.split(' ').filter(Boolean).length > 1;
+        return { hash, subject, date: date || '', timestamp: Number(timestamp) || 0, isMerge, author, email };
     });
 }
 
-function filterMissing(devCommits, mainSubjects) {
-    return devCommits.filter(({ subject }) => !mainSubjects.has(subject));
+const LAST_RELEASE = 'last-release';
+
+/** Resolve a --from/--to value to a ref git understands; "last-release" becomes the newest v* tag on main. */
+async function resolveRangeRef(ref, mainBranch) {
+    if (ref === LAST_RELEASE) {
+        const tag = await getLatestReleaseTag(mainBranch, gitRaw);
+        if (!tag) {
+            throw new Error(`Cannot resolve "${LAST_RELEASE}": no v* tag is reachable from ${mainBranch}.`);
+        }
+        return tag;
+    }
+    const sha = await gitRaw(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]).catch(() => '');
+    if (!sha) {
+        throw new Error(`Unknown revision "${ref}". Use a tag, SHA, branch or "${LAST_RELEASE}".`);
+    }
+    return ref;
+}
+
+async function findMissingCommits(devCommits, mainBranch, strategy) {
+    const mainIndex = await buildMainIndex(mainBranch, devCommits, strategy, gitRaw, {
+        includeMerges: argv['include-merges'],
+    });
+    const devPatchIds =
+        strategy === 'patch-id' || strategy === 'auto' ? await getPatchIds(devCommits.map((c) => c.hash)) : new Map();
+    return filterMissing(devCommits, mainIndex, strategy, devPatchIds);
+}
+
+function reportMatches(matched) {
+    if (matched.length === 0) return;
+
+    const counts = {};
+    for (const { hash, subject, reason, mainHash } of matched) {
+        counts[reason] = (counts[reason] || 0) + 1;
+        const target = mainHash && mainHash !== hash ? ` → ${shortSha(mainHash)}` : '';
+        log(chalk.gray(`↷ Already on main [${reason}${target}]: ${chalk.dim(`(${shortSha(hash)})`)} ${subject.slice(0, 80)}`));
+    }
+    const summary = Object.entries(counts)
+        .map(([reason, n]) => `${reason}: ${n}`)
+        .join(', ');
+    log(chalk.gray(`Matched ${matched.length} commit(s) already on main (${summary}).`));
 }
 
 async function selectCommitsInteractive(missing) {
     const choices = [
         new inquirer.Separator(chalk.gray('── Newest commits ──')),
-        ...missing.map(({ hash, subject }, idx) => {
+        ...missing.map(({ hash, subject, isMerge, missingTicket }, idx) => {
             // display-only trim to avoid accidental leading spaces
             const displaySubject = subject.replace(/^[\s\u00A0]+/, '');
+            const mergeTag = isMerge ? `${chalk.magenta('[merge]')} ` : '';
+            const ticketTag = missingTicket ? `${chalk.yellow('[no ticket]')} ` : '';
             return {
-                name: `${chalk.dim(`(${hash.slice(0, 7)})`)} ${displaySubject}`,
+                name: `${chalk.dim(`(${hash.slice(0, 7)})`)} ${mergeTag}${ticketTag}${displaySubject}`,
                 value: hash,
                 short: displaySubject,
                 idx, // we keep index for oldest→newest ordering later
@@ -562,7 +795,7 @@ async function conflictsResolutionWizard(hash) {
                 }
                 if (emptyAction === 'empty-commit') {
                     const fullMessage = await gitRaw(['show', '--format=%B', '-s', hash]);
-                    await gitRaw(['commit', '--allow-empty', '-m', fullMessage]);
+                    await gitRaw(['commit', '--allow-empty', '-m', withOriginTrailer(fullMessage, hash)]);
                     const subject = await gitRaw(['show', '--format=%s', '-s', 'HEAD']);
                     log(`${chalk.green('✓')} (empty) cherry-picked ${chalk.dim(`(${hash.slice(0, 7)})`)} ${subject}`);
                     return 'continued';
@@ -575,7 +808,7 @@ async function conflictsResolutionWizard(hash) {
             } else {
                 try {
                     // Use -C to copy the original commit message
-                    await gitRaw(['commit', '-C', hash]);
+                    await commitWithOriginalMessage(hash);
                     const subject = await gitRaw(['show', '--format=%s', '-s', 'HEAD']);
                     log(`${chalk.green('✓')} cherry-picked ${chalk.dim(`(${hash.slice(0, 7)})`)} ${subject}`);
                     return 'continued';
@@ -662,7 +895,7 @@ async function conflictsResolutionWizard(hash) {
 
                     if (emptyAction === 'empty-commit') {
                         const fullMessage = await gitRaw(['show', '--format=%B', '-s', hash]);
-                        await gitRaw(['commit', '--allow-empty', '-m', fullMessage]);
+                        await gitRaw(['commit', '--allow-empty', '-m', withOriginTrailer(fullMessage, hash)]);
                         const subject = await gitRaw(['show', '--format=%s', '-s', 'HEAD']);
                         log(`${chalk.green('✓')} (empty) cherry-picked ${chalk.dim(`(${hash.slice(0, 7)})`)} ${subject}`);
                         return 'continued';
@@ -675,7 +908,7 @@ async function conflictsResolutionWizard(hash) {
 
                 try {
                     // Use -C to copy the original commit message
-                    await gitRaw(['commit', '-C', hash]);
+                    await commitWithOriginalMessage(hash);
                     const subject = await gitRaw(['show', '--format=%s', '-s', 'HEAD']);
                     log(`${chalk.green('✓')} cherry-picked ${chalk.dim(`(${hash.slice(0, 7)})`)} ${subject}`);
                     return 'continued';
@@ -693,12 +926,32 @@ async function conflictsResolutionWizard(hash) {
     }
 }
 
-async function cherryPickSequential(hashes) {
+/** Append the `git cherry-pick -x` trailer when --record-origin is set (once). */
+function withOriginTrailer(message, hash) {
+    if (!argv['record-origin'] || parseCherryPickTrailers(message).includes(hash)) {
+        return message;
+    }
+    return `${message.trimEnd()}\n\n(cherry picked from commit ${hash})`;
+}
+
+/** Commit a manually resolved pick, reusing the original message and authorship. */
+async function commitWithOriginalMessage(hash) {
+    await gitRaw(['commit', '-C', hash]);
+    if (argv['record-origin']) {
+        const message = await gitRaw(['show', '--format=%B', '-s', 'HEAD']);
+        await gitRaw(['commit', '--amend', '--allow-empty', '--no-verify', '-m', withOriginTrailer(message, hash)]);
+    }
+}
+
+async function cherryPickSequential(hashes, { mergeHashes = new Set() } = {}) {
     const result = { applied: 0, skipped: 0, appliedHashes: [], skippedHashes: [] };
+    const pickArgs = argv['record-origin'] ? ['-x'] : [];
+    const mainline = String(argv.mainline || 1);
 
     for (const hash of hashes) {
+        const mergeArgs = mergeHashes.has(hash) ? ['-m', mainline] : [];
         try {
-            await gitRaw(['cherry-pick', hash]);
+            await gitRaw(['cherry-pick', ...pickArgs, ...mergeArgs, hash]);
             const subject = await gitRaw(['show', '--format=%s', '-s', hash]);
             log(`${chalk.green('✓')} cherry-picked ${chalk.dim(`(${shortSha(hash)})`)} ${subject}`);
             result.applied += 1;
@@ -730,54 +983,63 @@ async function cherryPickSequential(hashes) {
  * @returns {Promise<void>}
  */
 function parseVersion(v) {
-    const m = String(v || '')
-        .trim()
-        .match(/^(\d+)\.(\d+)\.(\d+)$/);
-    if (!m) {
-        throw new Error(`Invalid --current-version "${v}". Expected X.Y.Z`);
+    const parsed = semver.parse(String(v || '').trim());
+    if (!parsed) {
+        throw new Error(`Invalid --current-version "${v}". Expected a semantic version such as 1.2.3 or 1.3.0-rc.1`);
     }
-    return { major: +m[1], minor: +m[2], patch: +m[3] };
+    return parsed;
 }
 
 function incrementVersion(version, bump) {
     const cur = parseVersion(version);
-    if (bump === 'major') {
-        return `${cur.major + 1}.0.0`;
-    }
-    if (bump === 'minor') {
-        return `${cur.major}.${cur.minor + 1}.0`;
+    return bump ? semver.inc(cur, bump) : cur.version;
+}
+
+/** Next version for the current --prerelease / --promote mode. `existing` feeds the prerelease counter. */
+function computeNextVersion(version, bump, existing = []) {
+    if (argv.promote) {
+        return promoteVersion(version, bump);
     }
-    if (bump === 'patch') {
-        return `${cur.major}.${cur.minor}.${cur.patch + 1}`;
+    if (argv.prerelease) {
+        return nextPrereleaseVersion(version, bump, argv.prerelease, existing);
     }
-    return `${cur.major}.${cur.minor}.${cur.patch}`;
+    return incrementVersion(version, bump);
 }
 
-function normalizeMessage(msg) {
-    // normalize whitespace; keep case-insensitive matching
-    return (msg || '').replace(/\r\n/g, '\n');
+/** Versions already cut as release/<version> or hotfix/<version> branches (local or origin) or v<version> tags. */
+async function getExistingReleaseVersions() {
+    const out = await gitRaw([
+        'for-each-ref', '--format=%(refname)',
+        'refs/heads/release/', 'refs/remotes/origin/release/', 'refs/heads/hotfix/', 'refs/remotes/origin/hotfix/', 'refs/tags/',
+    ]).catch(() => '');
+    return out
+        .split('\n')
+        .filter(Boolean)
+        .map((ref) => ref.replace(/^refs\/(?:heads\/|remotes\/origin\/)?(?:release\/|hotfix\/|tags\/)/, '').replace(/^v/, ''));
 }
 
-// Returns "major" | "minor" | "patch" | null for a single commit message
-function classifySingleCommit(messageBody) {
-    const body = normalizeMessage(messageBody);
+/** The branch a release is cut on: release/<version>, or hotfix/<version> with --target. */
+function releaseBranchName(version) {
+    return `${argv.target ? 'hotfix' : 'release'}/${version}`;
+}
 
-    // Major
-    if (/\bBREAKING[- _]CHANGE(?:\([^)]+\))?\s*:?/i.test(body)) {
-        return 'major';
-    }
+// Type → bump rules; main() replaces them with the "semver" section of .cherrypickrc.json
+let bumpRules = createBumpRules();
 
-    // Minor
-    if (/(^|\n)\s*(\*?\s*)?feat(?:\([^)]+\))?\s*:?/i.test(body)) {
-        return 'minor';
-    }
+// Changelog sections, header and template; main() replaces them with the "changelog" section of .cherrypickrc.json
+let changelogConfig = createChangelogConfig();
 
-    // Patch
-    if (/(^|\n)\s*(\*?\s*)?(fix|perf)(?:\([^)]+\))?\s*:?/i.test(body)) {
-        return 'patch';
-    }
+// Commit/PR link builders for the origin forge (null when unknown); main() applies the "forge" section of .cherrypickrc.json
+let forgeLinks = null;
 
-    return null;
+// With forge links, `#585` is a PR number and is left to linkifyPullRequests rather than a tracker
+function ticketLinkOptions() {
+    return { skip: forgeLinks ? isPullRequestRef : null };
+}
+
+// Returns "major" | "minor" | "patch" | null for a single commit message
+function classifySingleCommit(messageBody) {
+    return classifyCommit(messageBody, bumpRules);
 }
 
 // Given many commits, collapse to a single bump level
@@ -822,16 +1084,58 @@ async function computeSemanticBumpForCommits(hashes, gitRawFn, semverignore) {
     return collapseBumps(levels);
 }
 
+/**
+ * Compute a separate bump for every workspace package the commits touch.
+ * Returns [{ name, dir, manifestPath, hashes, previous, next, bump }] for packages with commits.
+ */
+async function computePackageReleases(hashes, gitRawFn, semverignore) {
+    const packages = await findWorkspacePackages(await getRepoRoot());
+    if (packages.length === 0) {
+        log(chalk.yellow('⚠ --workspaces: no workspace packages found (package.json "workspaces" or pnpm-workspace.yaml).'));
+        return [];
+    }
+
+    const fileMap = await batchGetChangedFiles(hashes, gitRawFn);
+    const groups = groupCommitsByPackage(hashes, fileMap, packages);
+
+    const releases = [];
+    for (const pkg of packages) {
+        const pkgHashes = groups.get(pkg.dir);
+        if (!pkgHashes) continue;
+        if (!pkg.version) {
+            log(chalk.yellow(`⚠ ${pkg.name} has no "version" field — skipping.`));
+            continue;
+        }
+        const bump = await computeSemanticBumpForCommits(pkgHashes, gitRawFn, semverignore);
+        releases.push({
+            name: pkg.name,
+            dir: pkg.dir,
+            manifestPath: pkg.manifestPath,
+            hashes: pkgHashes,
+            previous: pkg.version,
+            // --promote only finalises packages that are on a prerelease themselves
+            next: argv.promote && !semver.prerelease(pkg.version)
+                ? incrementVersion(pkg.version, bump)
+                : computeNextVersion(pkg.version, bump),
+            bump,
+        });
+    }
+    return releases;
+}
+
 // ── Profile helpers ──
 
 const RC_FILENAME = '.cherrypickrc.json';
 
 /** Allowlist of flags that can be saved in a profile */
 const SAVEABLE_FLAGS = new Set([
-    'dev', 'main', 'since', 'no-fetch', 'all-yes', 'ignore-commits',
-    'semantic-versioning', 'current-version', 'version-file', 'version-commit-message', 'ignore-semver',
-    'create-release', 'push-release', 'draft-pr', 'dry-run',
-    'tracker', 'ticket-pattern', 'tracker-url',
+    'dev', 'main', 'target', 'since', 'from', 'to', 'include-merges', 'mainline', 'match', 'record-origin', 'no-fetch', 'all-yes',
+    'author', 'exclude-author', 'path', 'exclude-path', 'ignore-commits',
+    'semantic-versioning', 'current-version', 'version-file', 'version-commit-message', 'ignore-semver', 'prerelease', 'workspaces',
+    'create-release', 'push-release', 'existing-release', 'back-merge', 'back-merge-from', 'publish-release', 'draft-pr', 'dry-run',
+    'pr-title', 'pr-labels', 'pr-reviewers', 'pr-assignees', 'pr-milestone',
+    'group-by-scope', 'group-by-ticket', 'breaking-notes', 'contributors', 'changelog-file',
+    'tracker', 'ticket-pattern', 'tracker-url', 'require-ticket',
     'no-tui',
 ]);
 
@@ -957,16 +1261,31 @@ function shouldUseTui() {
     return true;
 }
 
-async function selectCommitsWithTuiOrFallback(commits) {
+/** Human-readable commit window, e.g. "v1.8.0..origin/dev" or "since 1 week ago". */
+function describeRange() {
+    if (argv.from) {
+        return `${argv.from}..${argv.to || argv.dev}`;
+    }
+    return argv.to ? `${argv.to}, since ${argv.since}` : `since ${argv.since}`;
+}
+
+/**
+ * The TUI gets every candidate plus the active filters so they can be toggled live, and
+ * `loadFiles` to read the changed files once a path filter is added; the inquirer fallback
+ * only sees the filtered list.
+ */
+async function selectCommitsWithTuiOrFallback(candidates, filters, loadFiles) {
     if (shouldUseTui()) {
         const { renderCommitSelector } = await import('./src/tui/index.js');
-        return renderCommitSelector(commits, gitRaw, {
+        return renderCommitSelector(candidates, gitRaw, {
             devBranch: argv.dev,
             mainBranch: argv.main,
-            since: argv.since,
+            range: describeRange(),
+            filters,
+            loadFiles,
         });
     }
-    return selectCommitsInteractive(commits);
+    return selectCommitsInteractive(applyCommitFilters(candidates, filters));
 }
 
 // ── Session helpers (undo/rollback) ──
@@ -1100,6 +1419,178 @@ async function handleUndo() {
     return reopen;
 }
 
+// ── Finalize (after the release PR is merged) ──
+
+/**
+ * `finalize [release-version]`: put an annotated `v<version>` tag holding the release notes on the
+ * commit that merged release/<version> into --main, push it, and with --publish-release create the
+ * forge's release object. With --back-merge --back-merge-from main, --main (which now holds the
+ * release) is back-merged into --dev. Re-running is safe: a tag, release or open back-merge PR that
+ * already exists is kept, as long as the tag points at the same commit.
+ */
+async function handleFinalize(rcTracker) {
+    if (!argv['no-fetch']) {
+        // No --tags: a local tag that differs from origin's is reported below instead of failing the fetch
+        log(chalk.gray('Fetching remotes (git fetch --prune)...'));
+        await git.fetch(['--prune']);
+    }
+
+    if (!argv['release-version'] && argv['version-file'] === GIT_TAG_SOURCE) {
+        throw new Error(`--version-file ${GIT_TAG_SOURCE} has no version to finalize; pass it as: finalize 1.2.3`);
+    }
+    const version = argv['release-version'] ? String(argv['release-version']).replace(/^v/, '') : await getVersionAt(argv.main);
+    if (!semver.valid(version)) {
+        throw new Error(`Invalid release version "${version}". Pass it as: finalize 1.2.3`);
+    }
+    const tag = `v${version}`;
+    const result = {
+        version,
+        tag: { name: tag, commit: null, created: false, pushed: false },
+        release: { url: null, created: false },
+    };
+
+    const commit = await findReleaseMerge(version);
+    if (!commit) {
+        throw new ExitError(`No merge of release/${version} or hotfix/${version} found on ${argv.main}. Merge the release PR first.`, 1);
+    }
+    result.tag.commit = commit;
+    log(chalk.gray(`Release ${version} was merged in ${shortSha(commit)} on ${argv.main}.`));
+
+    const notes = await getReleaseNotes(version, commit, rcTracker);
+
+    const localTarget = await gitRaw(['rev-parse', '--verify', '--quiet', `refs/tags/${tag}^{commit}`]).catch(() => '');
+    if (localTarget && localTarget !== commit) {
+        throw new Error(`Tag ${tag} already exists on ${shortSha(localTarget)}, not on the release merge ${shortSha(commit)}.`);
+    }
+    if (localTarget) {
+        log(chalk.gray(`✓ Tag ${tag} already exists.`));
+    } else {
+        // verbatim: keep the `## …` headings of the notes, which git would strip as comments
+        await gitRaw(['tag', '-a', tag, '--cleanup=verbatim', '-m', notes, commit]);
+        result.tag.created = true;
+        log(chalk.green(`✓ Created annotated tag ${tag} on ${shortSha(commit)}.`));
+    }
+
+    const remoteTarget = await getRemoteTagCommit(tag);
+    if (remoteTarget && remoteTarget !== commit) {
+        throw new Error(`Tag ${tag} on origin points at ${shortSha(remoteTarget)}, not at the release merge ${shortSha(commit)}.`);
+    }
+    if (remoteTarget) {
+        log(chalk.gray(`✓ Tag ${tag} is already on origin.`));
+    } else {
+        await gitRaw(['push', 'origin', `refs/tags/${tag}`]);
+        result.tag.pushed = true;
+        log(chalk.green(`✓ Pushed ${tag} to origin.`));
+    }
+
+    if (argv['publish-release']) {
+        const { provider } = await loadPrProvider(argv);
+        if (!provider.publishRelease) {
+            err(chalk.yellow(`⚠ ${provider.name} has no release objects; the tag carries the notes.`));
+        } else {
+            const problem = await provider.check();
+            if (problem) {
+                err(chalk.cyan(`   ${problem.hint}`));
+                throw new ExitError(problem.message, 3);
+            }
+            result.release = await provider.publishRelease({ tag, name: tag, notes });
+            const url = result.release.url ?? 'URL unknown';
+            log(result.release.created ? chalk.green(`✓ Published release ${tag}: ${url}`) : chalk.gray(`✓ Release ${tag} already exists: ${url}`));
+        }
+    }
+
+    if (argv['back-merge'] && argv['back-merge-from'] === 'main') {
+        const prConfig = await loadPrProvider(argv);
+        const problem = await prConfig.provider.check();
+        if (problem) {
+            // Like a failed back-merge PR, this leaves the tag and release standing
+            err(chalk.yellow(`⚠ Skipping the back-merge PR: ${problem.message}`));
+        } else {
+            result.backMerge = await openBackMergePr(prConfig.provider, prConfig, {
+                head: stripOrigin(argv.main),
+                headRef: argv.main,
+                version,
+                reuse: true,
+            });
+        }
+    }
+
+    if (isJsonFormat) {
+        console.log(JSON.stringify(result, null, 2));
+    }
+    log(chalk.green(`\n✅ Finalized ${tag}`));
+}
+
+/** The version in --version-file as committed on `ref`. */
+async function getVersionAt(ref) {
+    const pkgPath = argv['version-file'];
+    const text = await gitRaw(['show', `${ref}:./${pkgPath.replace(/^\.\//, '')}`]).catch(() => null);
+    const version = text === null ? null : getVersionSource(pkgPath).read(text);
+    if (!version) {
+        throw new Error(`No version found in ${pkgPath} on ${ref}.`);
+    }
+    return version;
+}
+
+/**
+ * The commit on --main's first-parent history that brought in release/ or hotfix/<version>: a merge commit
+ * naming the branch, a squash commit named after the PR title, or (rebase/fast-forward) the
+ * version bump commit itself. Newest wins; null when there is none.
+ */
+async function findReleaseMerge(version) {
+    const escaped = version.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const branchRe = new RegExp(`(?:release|hotfix)/${escaped}(?![\\w.-])`);
+    const prTitle = (await loadPrTitle(argv)).replaceAll('{{version}}', version);
+    const bumpSubject = argv['version-commit-message'].replace('{{version}}', version).split('\n')[0];
+
+    const lines = (await gitRaw(['log', '--first-parent', '--format=%H%x00%s', argv.main])).split('\n').filter(Boolean);
+    const match = lines
+        .map((line) => line.split('\0'))
+        .find(([, subject]) => branchRe.test(subject) || subject === bumpSubject || subject.startsWith(`${prTitle} (`) || subject === prTitle);
+    return match ? match[0] : null;
+}
+
+/** Commit a tag on origin points at, or null when origin has no such tag. */
+async function getRemoteTagCommit(tag) {
+    const out = await gitRaw(['ls-remote', '--tags', 'origin', `refs/tags/${tag}`, `refs/tags/${tag}^{}`]);
+    const refs = new Map(out.split('\n').filter(Boolean).map((line) => line.split('\t').reverse()));
+    return refs.get(`refs/tags/${tag}^{}`) || refs.get(`refs/tags/${tag}`) || null;
+}
+
+/**
+ * Release notes for the tag: the version's section of --changelog-file as merged, else a changelog
+ * rebuilt from the commits since the previous v* tag.
+ */
+async function getReleaseNotes(version, commit, rcTracker) {
+    if (argv['changelog-file']) {
+        const text = await gitRaw(['show', `${commit}:./${argv['changelog-file'].replace(/^\.\//, '')}`]).catch(() => null);
+        const section = extractRelease(text, version);
+        if (section) return section;
+        err(chalk.yellow(`⚠ No ${version} section in ${argv['changelog-file']}; rebuilding the notes from the commits.`));
+    }
+
+    const previousTag = await getLatestReleaseTag(`${commit}^`, gitRaw);
+    const range = previousTag ? `${previousTag}..${commit}` : commit;
+    const bumpSubject = argv['version-commit-message'].replace('{{version}}', version).split('\n')[0];
+    const commits = (await gitRaw(['log', '--no-merges', '--reverse', '--format=%H%x00%s', range])).split('\n').filter(Boolean);
+    const hashes = commits.map((line) => line.split('\0')).filter(([, subject]) => subject !== bumpSubject).map(([hash]) => hash);
+
+    let trackerConfig = null;
+    try {
+        trackerConfig = parseTrackerConfig(argv, rcTracker);
+    } catch (e) {
+        err(chalk.red(e.message));
+    }
+    return buildChangelogBody({
+        version,
+        previousVersion: previousTag.replace(/^v/, ''),
+        hashes,
+        gitRawFn: gitRaw,
+        semverIgnore: argv['ignore-semver'],
+        trackerConfig,
+    });
+}
+
 // ── Dependency detection helpers ──
 
 const MAX_DEPENDENCY_COMMITS = 200;
@@ -1115,9 +1606,10 @@ async function batchGetChangedFiles(hashes, gitRawFn) {
     for (const h of hashes) fileMap.set(h, new Set());
 
     // Single batched call: git log --name-only --pretty=format:COMMIT:%H
+    // -m --first-parent: merge commits report the files they bring in from the merged branch
     const raw = await gitRawFn([
         'log', '--name-only', '--pretty=format:COMMIT:%H',
-        '--no-walk', ...hashes,
+        '-m', '--first-parent', '--no-walk', ...hashes,
     ]);
 
     let currentHash = null;
@@ -1186,66 +1678,187 @@ async function detectDependencies(selected, unselected, allCommits, gitRawFn) {
 
 // ── Tracker helpers ──
 
-const TRACKER_PRESETS = {
-    clickup: '#([a-z0-9]+)',
-    jira: '([A-Z]+-\\d+)',
-    linear: '\\[([A-Z]+-\\d+)\\]',
-};
+/**
+ * Trackers from the CLI flags and the rc `tracker` section (main() only reads it when neither
+ * --tracker nor --ticket-pattern is set). A single rc tracker takes --tracker-url from the CLI;
+ * a list is used when no tracker flag is set at all.
+ * Returns an array of { name, pattern, url, metadata } or null.
+ */
+function parseTrackerConfig(currentArgv, rcTracker = null) {
+    if (Array.isArray(rcTracker) && !currentArgv['tracker-url']) {
+        const trackers = createTrackers(rcTracker);
+        return trackers.length > 0 ? trackers : null;
+    }
+    const options = rcTracker && !Array.isArray(rcTracker)
+        ? { ...rcTracker, 'tracker-url': currentArgv['tracker-url'] || rcTracker['tracker-url'] }
+        : currentArgv;
+    const tracker = createTracker(options);
+    return tracker ? [tracker] : null;
+}
 
-function parseTrackerConfig(currentArgv) {
-    let pattern = currentArgv['ticket-pattern'];
-    const url = currentArgv['tracker-url'];
-    const preset = currentArgv.tracker;
+// Ticket metadata cache, kept inside .git so it is never committed
+const TICKET_CACHE_FILENAME = 'cherrypick-tickets.json';
 
-    // Load from .cherrypickrc.json tracker section if not set via CLI
-    // (will be populated after loadRcConfig is called in main)
+/**
+ * Resolve the tickets referenced by `subjects` through each tracker's `metadata` source.
+ * Failures are warnings: release notes fall back to bare ticket IDs.
+ * Returns a Map of ticketKey(tracker, id) → { title, status, type }.
+ */
+async function loadTicketMetadata(trackers, subjects) {
+    const metadata = new Map();
+    const withSource = trackers.filter((t) => t.metadata);
+    if (withSource.length === 0) return metadata;
 
-    if (!pattern && !url && !preset) return null;
+    const cachePath = join(await gitRaw(['rev-parse', '--absolute-git-dir']), TICKET_CACHE_FILENAME);
+    const root = await getRepoRoot();
+    let total = 0;
+    for (const tracker of withSource) {
+        const ids = [...new Set(subjects.flatMap((s) => linkifyTickets(s, [tracker], null, ticketLinkOptions()).tickets.map((t) => t.id)))];
+        if (ids.length === 0) continue;
+        total += ids.length;
 
-    if (preset && !pattern) {
-        pattern = TRACKER_PRESETS[preset];
-        if (!pattern) {
-            throw new Error(`Unknown tracker preset "${preset}". Available: ${Object.keys(TRACKER_PRESETS).join(', ')}`);
+        let source;
+        try {
+            const config = tracker.metadata.path ? { ...tracker.metadata, path: resolve(root, tracker.metadata.path) } : tracker.metadata;
+            source = createMetadataSource(config, { trackerUrl: tracker.url });
+        } catch (e) {
+            err(chalk.yellow(`⚠ Ticket metadata (${tracker.name}): ${e.message}`));
+            continue;
         }
-    }
 
-    if (pattern && !url) {
-        throw new Error('--ticket-pattern requires --tracker-url to be set.');
+        const { metadata: found, error, cacheError } = await lookupTicketMetadata(source, ids, { cachePath });
+        if (error) {
+            err(chalk.yellow(`⚠ Ticket metadata (${tracker.name}): ${error.message} — using cached entries where available.`));
+        }
+        if (cacheError) {
+            err(chalk.yellow(`⚠ Ticket metadata cache not written: ${cacheError.message}`));
+        }
+        for (const [id, info] of found) {
+            if (info) metadata.set(ticketKey(tracker.name, id), info);
+        }
     }
-    if (url && !pattern && !preset) {
-        throw new Error('--tracker-url requires --ticket-pattern or --tracker to be set.');
+    log(chalk.gray(`Ticket metadata: ${metadata.size} of ${total} tickets resolved.`));
+    return metadata;
+}
+
+/**
+ * Post-release hook: comment on and/or transition each released ticket whose tracker has a
+ * `release` config, through the tracker's `metadata` source. Failures are warnings only.
+ */
+async function updateReleasedTickets(tickets, trackers, context) {
+    const plan = planTicketUpdates(tickets, trackers, context);
+    if (plan.length === 0) return [];
+
+    log(chalk.cyan(`\nUpdating ${plan.length} ticket(s) ...`));
+    const sources = new Map();
+    const sourceFor = (name) => {
+        if (!sources.has(name)) {
+            const tracker = trackers.find((t) => t.name === name);
+            if (!tracker.metadata) throw new Error('the tracker needs a "metadata" source for API access');
+            sources.set(name, createMetadataSource(tracker.metadata, { trackerUrl: tracker.url }));
+        }
+        return sources.get(name);
+    };
+
+    const results = await applyTicketUpdates(plan, sourceFor);
+    for (const r of results) {
+        const status = plan.find((u) => u.tracker === r.tracker && u.id === r.id).status;
+        const done = [r.commented && 'commented', r.moved && `moved to "${status}"`].filter(Boolean).join(', ');
+        if (r.error) {
+            err(chalk.yellow(`⚠ ${r.id} (${r.tracker}): ${r.error}${done ? ` (${done})` : ''}`));
+        } else {
+            log(chalk.green(`✓ ${r.id}: ${done}`));
+        }
     }
+    return results;
+}
 
-    let compiled;
-    try {
-        compiled = new RegExp(pattern);
-    } catch (e) {
-        throw new Error(`Invalid --ticket-pattern regex "${pattern}": ${e.message}`);
+/**
+ * Post-release hook: open a PR merging `head` (the release branch or --main) into --dev, so dev gets
+ * the version bump and any fixes made during the release. Conflicts are checked locally first and
+ * listed in the PR. Failures are warnings only.
+ */
+async function openBackMergePr(provider, prConfig, { head, headRef, version, reuse = false }) {
+    const base = stripOrigin(argv.dev);
+    const conflicts = await findMergeConflicts(argv.dev, headRef);
+    if (conflicts === null) {
+        err(chalk.yellow(`⚠ Cannot check ${head} against ${base} for conflicts (needs git 2.38+).`));
+    } else if (conflicts.length > 0) {
+        err(chalk.yellow(`⚠ Back-merging ${head} into ${base} conflicts in ${conflicts.length} file(s):`));
+        for (const file of conflicts) err(chalk.yellow(`   - ${file}`));
+    } else {
+        log(chalk.gray(`${head} merges into ${base} without conflicts.`));
     }
 
-    if (!isSafeRegex(compiled)) {
-        throw new Error(`Pattern rejected — potential catastrophic backtracking: "${pattern}"`);
+    if (reuse) {
+        // An open back-merge PR follows its head branch, so it already carries the new commits
+        let open = null;
+        try {
+            open = await provider.findPullRequest({ head, base });
+        } catch (e) {
+            err(chalk.yellow(`⚠ Could not look up an open back-merge PR: ${e.message}`));
+        }
+        if (open) {
+            log(chalk.gray(`Back-merge PR${open.number ? ` #${open.number}` : ''} from ${head} into ${base} is already open: ${open.url ?? 'URL unknown'}`));
+            return { url: open.url, number: open.number, state: open.state, conflicts: conflicts ?? [] };
+        }
     }
 
-    // Validate capture group
-    const groups = new RegExp(`${pattern}|`).exec('').length - 1;
-    if (groups < 1) {
-        throw new Error('Pattern must have one capture group for the ticket ID.');
+    const lines = [`Merges \`${head}\` back into \`${base}\` after release ${version}, so ${base} gets the version bump and any fixes made during the release.`];
+    if (conflicts?.length > 0) {
+        lines.push('', '⚠️ **Conflicts to resolve before merging:**', '', ...conflicts.map((file) => `- \`${file}\``));
     }
+    const body = `${lines.join('\n')}\n`;
+    const bodyFile = await gitRaw(['rev-parse', '--git-path', 'BACK_MERGE_PR.md']);
+    const { labels, reviewers, assignees } = buildPrMetadata(prConfig, version);
 
-    return { pattern: compiled, url };
+    log(chalk.cyan(`\nOpening the back-merge pull request into ${base} on ${provider.name} (${provider.via}) ...`));
+    try {
+        await fsPromises.writeFile(bodyFile, body, 'utf8');
+        const pr = await provider.createPullRequest({
+            title: `Back-merge ${version} into ${base}`,
+            base,
+            head,
+            body,
+            bodyFile,
+            labels,
+            reviewers,
+            assignees,
+        });
+        for (const warning of pr.warnings) {
+            err(chalk.yellow(`⚠ ${warning}`));
+        }
+        log(chalk.green(`✓ Opened back-merge PR${pr.number ? ` #${pr.number}` : ''} (${pr.state}): ${pr.url ?? 'URL unknown'}`));
+        return { url: pr.url, number: pr.number, state: pr.state, conflicts: conflicts ?? [] };
+    } catch (e) {
+        err(chalk.yellow(`⚠ Could not open the back-merge PR: ${e.message}`));
+        return { url: null, number: null, state: null, conflicts: conflicts ?? [] };
+    } finally {
+        await fsPromises.rm(bodyFile, { force: true });
+    }
 }
 
-function linkifyTicket(subject, trackerConfig) {
-    if (!trackerConfig) return subject;
-    const { pattern, url } = trackerConfig;
-    const match = pattern.exec(subject);
-    if (!match) return subject;
+/**
+ * Files that conflict when merging `head` into `base`, checked without touching the worktree
+ * (`git merge-tree --write-tree`). Null when git cannot tell (older than 2.38, unrelated histories).
+ */
+function findMergeConflicts(base, head) {
+    return new Promise((resolve) => {
+        const p = spawn('git', ['merge-tree', '--write-tree', '--name-only', '--no-messages', base, head], { stdio: ['ignore', 'pipe', 'ignore'] });
+        let stdout = '';
+        p.stdout.on('data', (chunk) => {
+            stdout += chunk;
+        });
+        p.on('error', () => resolve(null));
+        // Exit 1 means conflicts: the tree ID comes first, then one conflicted file per line
+        p.on('close', (code) => resolve(code === 0 ? [] : code === 1 ? stdout.split('\n').slice(1).filter(Boolean) : null));
+    });
+}
 
-    const fullMatch = match[0]; // entire matched text (e.g., "#86c8w62wx")
-    const capturedId = match[1]; // capture group (e.g., "86c8w62wx")
-    const link = url.replace('{{id}}', capturedId);
-    return subject.replace(fullMatch, `[${fullMatch}](${link})`);
+/** One line per planned ticket update, for --dry-run. */
+function describeTicketUpdate(update) {
+    const actions = [update.comment && `comment "${update.comment}"`, update.status && `move to "${update.status}"`];
+    return `- ${update.id} (${update.tracker}): ${actions.filter(Boolean).join(', ')}`;
 }
 
 async function loadTrackerFromRc() {
@@ -1257,6 +1870,133 @@ async function loadTrackerFromRc() {
     }
 }
 
+/** Build the changelog config from .cherrypickrc.json; `template` is a path relative to the repo root. */
+async function loadChangelogConfig() {
+    let config;
+    try {
+        config = (await loadRcConfig()).changelog;
+    } catch {
+        return createChangelogConfig();
+    }
+    if (!config) return createChangelogConfig();
+
+    let template = null;
+    if (config.template) {
+        const templatePath = join(await getRepoRoot(), config.template);
+        try {
+            template = await fsPromises.readFile(templatePath, 'utf8');
+        } catch (e) {
+            throw new Error(`Cannot read changelog template ${config.template}: ${e.message}`);
+        }
+    }
+    return createChangelogConfig(config, template);
+}
+
+/** Derive forge links from the origin remote, with URL overrides from the rc "forge" section. */
+async function loadForgeLinks() {
+    let config;
+    try {
+        config = (await loadRcConfig()).forge;
+    } catch {
+        config = undefined;
+    }
+    let remoteUrl = '';
+    try {
+        remoteUrl = await gitRaw(['remote', 'get-url', 'origin']);
+    } catch {
+        // no origin remote: links only come from an explicit forge.baseUrl
+    }
+    return createForgeLinks(remoteUrl, config ?? {});
+}
+
+/** A comma-separated flag value or an rc array, as a list. */
+function parseList(value) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return items.map((s) => String(s).trim()).filter(Boolean);
+}
+
+const prTitleOf = (currentArgv, config) => currentArgv['pr-title'] || config.title || 'Release {{version}}';
+
+/** Only the PR title template, without the provider and PR template that loadPrProvider also loads. */
+async function loadPrTitle(currentArgv) {
+    try {
+        return prTitleOf(currentArgv, (await loadRcConfig()).pr || {});
+    } catch {
+        return prTitleOf(currentArgv, {});
+    }
+}
+
+/**
+ * Pick the release PR provider and its metadata. Flags win over the rc "pr" section
+ * (`title`, `labels`, `reviewers`, `assignees`, `milestone`, `template`); the provider
+ * falls back to the origin forge.
+ */
+async function loadPrProvider(currentArgv) {
+    let rc;
+    try {
+        rc = await loadRcConfig();
+    } catch {
+        rc = {};
+    }
+    const config = rc.pr || {};
+    let remoteUrl = '';
+    try {
+        remoteUrl = await gitRaw(['remote', 'get-url', 'origin']);
+    } catch {
+        // no origin remote: the provider defaults to GitHub unless pr.provider is set
+    }
+    const provider = createPrProvider(config, {
+        remoteUrl,
+        forgeType: rc.forge?.type ?? null,
+        runFn: runCommand,
+        hasCommand: commandExists,
+    });
+    return {
+        provider,
+        title: prTitleOf(currentArgv, config),
+        labels: parseList(currentArgv['pr-labels'] ?? config.labels),
+        reviewers: parseList(currentArgv['pr-reviewers'] ?? config.reviewers),
+        assignees: parseList(currentArgv['pr-assignees'] ?? config.assignees),
+        milestone: currentArgv['pr-milestone'] || config.milestone || null,
+        template: await loadPrTemplate(provider.name, config.template),
+    };
+}
+
+/** The repo's PR template: `pr.template` (a path, or false for none), else the forge's default locations. */
+async function loadPrTemplate(providerName, configured) {
+    if (configured === false) return null;
+    const root = await getRepoRoot();
+    const candidates = configured ? [configured] : PR_TEMPLATE_PATHS[providerName];
+    for (const path of candidates) {
+        try {
+            return { path, text: await fsPromises.readFile(join(root, path), 'utf8') };
+        } catch (e) {
+            if (configured) throw new Error(`Cannot read PR template ${path}: ${e.message}`);
+        }
+    }
+    return null;
+}
+
+/** Title, labels, reviewers, assignees and milestone of the release PR for `version`. */
+function buildPrMetadata(prConfig, version) {
+    return {
+        title: prConfig.title.replaceAll('{{version}}', version),
+        labels: prConfig.labels,
+        reviewers: prConfig.reviewers,
+        assignees: prConfig.assignees,
+        milestone: prConfig.milestone ? prConfig.milestone.replaceAll('{{version}}', version) : null,
+    };
+}
+
+async function loadSemverFromRc() {
+    try {
+        const config = await loadRcConfig();
+        return config.semver || undefined;
+    } catch {
+        return undefined;
+    }
+}
+
 async function main() {
     try {
         // ── Undo handling (must run before anything else) ──
@@ -1285,28 +2025,53 @@ async function main() {
             return;
         }
 
+        let profile = null;
         if (argv['profile']) {
-            const profile = await loadProfile(argv['profile']);
+            profile = await loadProfile(argv['profile']);
             applyProfile(profile, argv);
         }
 
-        // ── Tracker config (merge CLI flags with .cherrypickrc.json) ──
-        if (!argv['ticket-pattern'] && !argv['tracker']) {
-            const rcTracker = await loadTrackerFromRc();
-            if (rcTracker) {
-                if (rcTracker['ticket-pattern'] && !argv['ticket-pattern']) argv['ticket-pattern'] = rcTracker['ticket-pattern'];
-                if (rcTracker['tracker-url'] && !argv['tracker-url']) argv['tracker-url'] = rcTracker['tracker-url'];
+        // ── Hotfix mode: pick from --main into --target, which takes --main's place from here on ──
+        if (argv.target) {
+            const devGiven = process.argv.some((a) => a === '--dev' || a.startsWith('--dev=')) || profile?.dev !== undefined;
+            if (devGiven) {
+                throw new Error(' --target picks from --main; --dev cannot be combined with it');
+            }
+            if (argv['back-merge']) {
+                // Merging the maintenance line would bring its old version into --main
+                throw new Error(' --back-merge cannot be combined with --target; a hotfix is not merged back into --main');
             }
+            argv.dev = argv.main;
+            argv.main = argv.target;
+        }
+
+        // ── Tracker config (.cherrypickrc.json; merged with CLI flags by parseTrackerConfig) ──
+        let rcTracker = null;
+        if (!argv['ticket-pattern'] && !argv['tracker']) {
+            rcTracker = await loadTrackerFromRc();
         }
 
-        // Check if gh CLI is installed when push-release is enabled
+        // ── Bump rules (.cherrypickrc.json "semver" section) ──
+        bumpRules = createBumpRules(await loadSemverFromRc());
+        changelogConfig = await loadChangelogConfig();
+        forgeLinks = await loadForgeLinks();
+
+        if (argv._[0] === 'finalize') {
+            await handleFinalize(rcTracker);
+            return;
+        }
+
+        // Check that the PR provider can be reached when push-release is enabled
+        let prConfig = null;
         if (argv['push-release']) {
-            const ghInstalled = await checkGhCli();
-            if (!ghInstalled) {
-                err(chalk.yellow('\n⚠️  GitHub CLI (gh) is not installed or not in PATH.'));
-                err(chalk.gray('   The --push-release flag requires gh CLI to create pull requests.\n'));
-                err(chalk.cyan('   Install it from: https://cli.github.com/'));
+            prConfig = await loadPrProvider(argv);
+            const problem = await prConfig.provider.check();
+            if (problem) {
+                err(chalk.yellow(`\n⚠️  ${problem.message}`));
+                err(chalk.gray(`   The --push-release flag needs it to create the ${prConfig.provider.name} pull request.\n`));
+                err(chalk.cyan(`   ${problem.hint}`));
                 err(chalk.cyan('   Or run without --push-release to skip PR creation.\n'));
+                if (argv.ci) throw new ExitError('PR provider check failed. Aborting.', 3);
 
                 const { proceed } = await prompt([
                     {
@@ -1327,42 +2092,160 @@ async function main() {
             }
         }
 
+        // --main holds the release only once its PR is merged, so that back-merge is left to finalize
+        const backMergeRelease = argv['back-merge'] && argv['back-merge-from'] === 'release';
+        if (argv['back-merge'] && !backMergeRelease) {
+            log(chalk.gray('--back-merge-from main: run `finalize --back-merge --back-merge-from main` after the release PR is merged.'));
+        }
+        if (backMergeRelease && !argv['push-release']) {
+            err(chalk.yellow('⚠ --back-merge opens its PR after the release PR; it is skipped without --push-release.'));
+        }
+
         if (!argv['no-fetch']) {
             log(chalk.gray('Fetching remotes (git fetch --prune)...'));
             await git.fetch(['--prune']);
         }
 
+        if (argv.target) {
+            const sha = await gitRaw(['rev-parse', '--verify', '--quiet', `${argv.target}^{commit}`]).catch(() => '');
+            if (!sha) {
+                throw new Error(`Unknown --target "${argv.target}". Pass an existing branch, e.g. origin/release/1.8.x.`);
+            }
+            log(chalk.cyan(`Hotfix mode: picking from ${argv.dev} into ${argv.target} (patch releases only).`));
+        }
+
         const currentBranch = (await gitRaw(['rev-parse', '--abbrev-ref', 'HEAD'])) || 'HEAD';
 
-        log(chalk.gray(`Comparing subjects since ${argv.since}`));
+        if (argv.from) argv.from = await resolveRangeRef(argv.from, argv.main);
+        if (argv.to) argv.to = await resolveRangeRef(argv.to, argv.main);
+
+        const matchStrategy = argv.match || 'subject';
+        log(chalk.gray(`Comparing commits ${describeRange()} (match: ${matchStrategy})`));
         log(chalk.gray(`Dev:  ${argv.dev}`));
         log(chalk.gray(`Main: ${argv.main}`));
 
-        const [devCommits, mainSubjects] = await Promise.all([getDevCommits(argv.dev, argv.since), getSubjects(argv.main)]);
+        if (argv['include-merges'] && !(Number.isInteger(argv.mainline) && argv.mainline >= 1)) {
+            throw new Error(`Invalid --mainline "${argv.mainline}". Expected a parent number (1, 2, ...).`);
+        }
 
-        const missing = filterMissing(devCommits, mainSubjects);
+        const devCommits = await getDevCommits(argv.dev, {
+            since: argv.since,
+            from: argv.from,
+            to: argv.to,
+            includeMerges: argv['include-merges'],
+        });
+        const { missing, matched } = await findMissingCommits(devCommits, argv.main, matchStrategy);
+        reportMatches(matched);
+        ciResult.commits.matched = matched.map(({ hash, reason, mainHash }) => ({ hash, reason, main: mainHash }));
 
         // Filter out commits matching --ignore-commits patterns
         const ignoreCommitsPatterns = parseIgnoreCommits(argv['ignore-commits']);
-        const filteredMissing =
+        const candidates =
             ignoreCommitsPatterns.length > 0
                 ? missing.filter(({ subject }) => !shouldIgnoreCommit(subject, ignoreCommitsPatterns))
                 : missing;
 
+        // Author/path filters hide commits from the list; hidden commits still count for dependency detection.
+        const commitFilters = parseCommitFilters({
+            author: argv.author,
+            excludeAuthor: argv['exclude-author'],
+            path: argv.path,
+            excludePath: argv['exclude-path'],
+        });
+        // Changed files are read once, up front for --path or when a path filter is added in the TUI
+        let filesLoaded = null;
+        const loadFiles = () => {
+            filesLoaded ??= batchGetChangedFiles(candidates.map((c) => c.hash), gitRaw).then((fileMap) => {
+                for (const c of candidates) c.files = [...(fileMap.get(c.hash) || [])];
+            });
+            return filesLoaded;
+        };
+        if (commitFilters.some((f) => f.type === 'path')) await loadFiles();
+        const filteredMissing = applyCommitFilters(candidates, commitFilters);
+        if (commitFilters.length > 0) {
+            log(chalk.gray(`Filters (${commitFilters.map((f) => f.label).join(', ')}): ${filteredMissing.length} of ${candidates.length} commits kept.`));
+        }
+
         if (filteredMissing.length === 0) {
             log(chalk.green('✅ No missing commits found in the selected window.'));
             if (argv.ci) throw new ExitError('No commits found.', 2);
             return;
         }
 
+        // ── Tracker config (before selection, so the commit list can flag commits without a ticket) ──
+        let trackerConfig = null;
+        try {
+            trackerConfig = parseTrackerConfig(argv, rcTracker);
+        } catch (e) {
+            err(chalk.red(e.message));
+        }
+        for (const flag of ['require-ticket', 'group-by-ticket']) {
+            if (argv[flag] && !trackerConfig) {
+                throw new Error(` --${flag} needs a tracker (--tracker, --ticket-pattern or the "tracker" section of .cherrypickrc.json)`);
+            }
+        }
+        if (argv['group-by-ticket'] && argv['group-by-scope']) {
+            throw new Error(' --group-by-ticket and --group-by-scope cannot be combined');
+        }
+        let ticketMetadata = null;
+        if (trackerConfig) {
+            ticketMetadata = await loadTicketMetadata(trackerConfig, candidates.map((c) => c.subject));
+            for (const c of candidates) {
+                c.tickets = linkifyTickets(c.subject, trackerConfig, ticketMetadata, ticketLinkOptions()).tickets;
+                c.missingTicket = c.tickets.length === 0;
+            }
+        }
+
         const semverIgnore = argv['ignore-semver'];
-        const indexByHash = new Map(filteredMissing.map((c, i) => [c.hash, i])); // 0=newest, larger=older
+        const indexByHash = new Map(candidates.map((c, i) => [c.hash, i])); // 0=newest, larger=older
+
+        if (argv['version-file'] && !argv['current-version']) {
+            // A hotfix continues the target's own version, not the one checked out
+            const currentVersionFromPkg =
+                argv.target && argv['version-file'] !== GIT_TAG_SOURCE
+                    ? await getVersionAt(argv.target)
+                    : await getPkgVersion(argv['version-file']);
+            argv['current-version'] = currentVersionFromPkg;
+        }
+
+        // ── Existing release branch: appending offers only the commits it lacks ──
+        // Asked up front when interactive; each prerelease cuts a branch of its own, so a pending rc is not asked about.
+        let appendTarget = null;
+        let overrideBranch = null;
+        const existingRelease = argv['existing-release'];
+        if (
+            argv['create-release'] &&
+            argv['semantic-versioning'] &&
+            argv['current-version'] &&
+            (existingRelease === 'append' || (existingRelease === 'ask' && !argv.ci && !argv.prerelease))
+        ) {
+            const pendingRelease = await findPendingReleaseBranch(argv['current-version']);
+            if (pendingRelease) {
+                const { branch, localExists, remoteExists } = pendingRelease;
+                const where = `${localExists ? ' locally' : ''}${remoteExists ? ' on origin' : ''}`;
+                if ((await resolveExistingReleaseAction(branch, where)) === 'override') {
+                    overrideBranch = branch;
+                } else {
+                    const { missing: notOnBranch } = await findMissingCommits(candidates, localExists ? branch : `origin/${branch}`, matchStrategy);
+                    const pending = new Set(notOnBranch.map((c) => c.hash));
+                    const onBranch = candidates.filter((c) => !pending.has(c.hash)).map((c) => c.hash);
+                    log(chalk.gray(`${onBranch.length} of ${candidates.length} missing commit(s) are already on ${branch}.`));
+                    if (applyCommitFilters(notOnBranch, commitFilters).length === 0) {
+                        log(chalk.green(`✅ Nothing new to append to ${branch}.`));
+                        if (argv.ci) throw new ExitError('No commits found.', 2);
+                        return;
+                    }
+                    appendTarget = { ...pendingRelease, notOnBranch, onBranch };
+                }
+            }
+        }
+        const selectable = appendTarget ? appendTarget.notOnBranch : candidates;
 
         let selected;
         if (argv['all-yes']) {
-            selected = filteredMissing.map((m) => m.hash);
+            selected = applyCommitFilters(selectable, commitFilters).map((m) => m.hash);
         } else {
-            selected = await selectCommitsWithTuiOrFallback(filteredMissing);
+            selected = await selectCommitsWithTuiOrFallback(selectable, commitFilters, loadFiles);
             if (!selected.length) {
                 log(chalk.yellow('No commits selected. Exiting.'));
                 return;
@@ -1375,10 +2258,10 @@ async function main() {
         const depStrategy = argv['dependency-strategy'] || 'warn';
         if (depStrategy !== 'ignore') {
             const selectedSet = new Set(selected);
-            const unselected = filteredMissing.filter((c) => !selectedSet.has(c.hash));
+            const unselected = selectable.filter((c) => !selectedSet.has(c.hash));
 
             if (unselected.length > 0) {
-                const deps = await detectDependencies(bottomToTop, unselected, filteredMissing, gitRaw);
+                const deps = await detectDependencies(bottomToTop, unselected, candidates, gitRaw);
 
                 if (deps.length > 0) {
                     // Show warnings
@@ -1426,7 +2309,7 @@ async function main() {
                                 log(chalk.green(`✓ ${missingHashes.length} commit(s) added. Total: ${selected.length}`));
                             }
                         } else if (choice === 'back') {
-                            selected = await selectCommitsWithTuiOrFallback(filteredMissing);
+                            selected = await selectCommitsWithTuiOrFallback(selectable, commitFilters, loadFiles);
                             if (!selected.length) {
                                 log(chalk.yellow('No commits selected. Exiting.'));
                                 return;
@@ -1439,12 +2322,36 @@ async function main() {
             }
         }
 
-        // ── Version computation (moved before preview) ──
-        if (argv['version-file'] && !argv['current-version']) {
-            const currentVersionFromPkg = await getPkgVersion(argv['version-file']);
-            argv['current-version'] = currentVersionFromPkg;
+        // ── Ticket policy ──
+        if (argv['require-ticket']) {
+            const selectedSet = new Set(bottomToTop);
+            const unticketed = candidates.filter((c) => selectedSet.has(c.hash) && c.missingTicket);
+            if (unticketed.length > 0) {
+                log(chalk.yellow(`\n⚠ ${unticketed.length} selected commit(s) have no ticket ID:\n`));
+                for (const c of unticketed) {
+                    log(`  ${chalk.dim(`(${shortSha(c.hash)})`)} ${c.subject}`);
+                }
+
+                if (argv.ci) {
+                    throw new ExitError('Ticket check failed (--require-ticket). Aborting.', 5);
+                }
+                if (!argv['all-yes']) {
+                    const { proceed } = await prompt([
+                        { type: 'confirm', name: 'proceed', message: 'Continue with commits that have no ticket ID?', default: false },
+                    ]);
+                    if (!proceed) {
+                        log(chalk.yellow('Aborted.'));
+                        return;
+                    }
+                }
+            }
         }
 
+        // ── Version computation (moved before preview) ──
+        // An append releases what the branch already has together with the new picks
+        const releaseHashes = appendTarget
+            ? [...appendTarget.onBranch, ...bottomToTop].sort((a, b) => indexByHash.get(b) - indexByHash.get(a))
+            : bottomToTop;
         let computedNextVersion = argv['current-version'];
         let detectedBump = null;
         if (argv['semantic-versioning']) {
@@ -1452,8 +2359,22 @@ async function main() {
                 throw new Error(' --semantic-versioning requires --current-version X.Y.Z (or pass --version-file)');
             }
 
-            detectedBump = await computeSemanticBumpForCommits(bottomToTop, gitRaw, semverIgnore);
-            computedNextVersion = detectedBump ? incrementVersion(argv['current-version'], detectedBump) : argv['current-version'];
+            detectedBump = await computeSemanticBumpForCommits(releaseHashes, gitRaw, semverIgnore);
+            if (argv.target) {
+                if (detectedBump && detectedBump !== 'patch') {
+                    err(chalk.yellow(`⚠ The selected commits call for a ${detectedBump} bump; hotfixes to ${argv.target} bump the patch version only.`));
+                }
+                detectedBump = 'patch';
+            }
+            if (argv.prerelease && argv.promote) {
+                throw new Error(' --prerelease and --promote cannot be combined');
+            }
+            computedNextVersion = computeNextVersion(
+                argv['current-version'],
+                detectedBump,
+                // The branch being appended to does not count as taken
+                argv.prerelease ? (await getExistingReleaseVersions()).filter((v) => v !== appendTarget?.version) : [],
+            );
 
             log('');
             log(chalk.magenta('Semantic Versioning'));
@@ -1464,28 +2385,61 @@ async function main() {
             );
         }
 
-        // ── Changelog preview ──
-        let trackerConfig = null;
-        try {
-            trackerConfig = parseTrackerConfig(argv);
-        } catch (e) {
-            err(chalk.red(e.message));
+        let packageReleases = [];
+        if (argv.workspaces) {
+            if (!argv['semantic-versioning']) {
+                throw new Error(' --workspaces requires --semantic-versioning');
+            }
+
+            packageReleases = await computePackageReleases(releaseHashes, gitRaw, semverIgnore);
+            log('');
+            log(chalk.magenta('Workspace packages'));
+            if (packageReleases.length === 0) {
+                log(chalk.gray('  No workspace package is touched by the selected commits.'));
+            }
+            for (const pkg of packageReleases) {
+                const count = `${pkg.hashes.length} commit${pkg.hashes.length === 1 ? '' : 's'}`;
+                log(`  ${chalk.bold(pkg.name)}  ${pkg.previous} → ${chalk.bold(pkg.next)}  ${chalk.gray(`(${pkg.bump || 'no'} bump, ${count})`)}`);
+            }
         }
 
-        const previewChangelog = await buildChangelogBody({
-            version: computedNextVersion,
-            hashes: bottomToTop,
-            gitRawFn: gitRaw,
-            semverIgnore,
-            trackerConfig,
-        });
+        // ── Changelog preview ──
+        const buildReleaseNotes = async (hashes) => {
+            let notes = await buildChangelogBody({
+                version: computedNextVersion,
+                previousVersion: argv['current-version'],
+                bump: detectedBump,
+                hashes,
+                gitRawFn: gitRaw,
+                semverIgnore,
+                trackerConfig,
+                ticketMetadata,
+            });
+            for (const pkg of packageReleases) {
+                const section = await buildChangelogBody({
+                    header: `## ${pkg.name}@${pkg.next}`,
+                    hashes: pkg.hashes.filter((h) => hashes.includes(h)),
+                    gitRawFn: gitRaw,
+                    semverIgnore,
+                    trackerConfig,
+                    ticketMetadata,
+                });
+                notes += `\n${section}`;
+            }
+            return notes;
+        };
+        const previewChangelog = await buildReleaseNotes(releaseHashes);
+        const releaseBranch = appendTarget?.branch ?? (computedNextVersion ? releaseBranchName(computedNextVersion) : null);
 
         const isDryRun = argv.dry_run || argv['dry-run'];
+        // Tickets of commits already on an appended branch were updated by the earlier run
+        const releasedTickets = candidates.filter((c) => bottomToTop.includes(c.hash)).flatMap((c) => c.tickets || []);
 
         // Show preview
         log(chalk.cyan('\n── Changelog Preview ──────────────────'));
         if (computedNextVersion && argv['current-version'] && computedNextVersion !== argv['current-version']) {
-            log(chalk.gray(`Previous: ${argv['current-version']} → Next: ${computedNextVersion} (${detectedBump} bump)`));
+            const bumpLabel = detectedBump || (argv.promote ? 'promote' : 'prerelease');
+            log(chalk.gray(`Previous: ${argv['current-version']} → Next: ${computedNextVersion} (${bumpLabel} bump)`));
         }
         log('');
         log(previewChangelog);
@@ -1498,9 +2452,36 @@ async function main() {
                 const subj = await gitRaw(['show', '--format=%s', '-s', h]);
                 log(`- ${chalk.dim(`(${h.slice(0, 7)})`)} ${subj}`);
             }
+
+            if (prConfig) {
+                const meta = buildPrMetadata(prConfig, computedNextVersion);
+                log(chalk.cyan(`\n--dry-run: would open the release PR on ${prConfig.provider.name}:`));
+                log(`- title: ${meta.title}`);
+                for (const key of ['labels', 'reviewers', 'assignees']) {
+                    if (meta[key].length > 0) log(`- ${key}: ${meta[key].join(', ')}`);
+                }
+                if (meta.milestone) log(`- milestone: ${meta.milestone}`);
+                if (prConfig.template) log(`- description: changelog merged into ${prConfig.template.path}`);
+                if (backMergeRelease) {
+                    log(chalk.cyan(`\n--dry-run: would open a back-merge PR from ${releaseBranch} into ${stripOrigin(argv.dev)}.`));
+                }
+            }
+
+            const ticketUpdates = trackerConfig && argv['push-release']
+                ? planTicketUpdates(releasedTickets, trackerConfig, { version: computedNextVersion, prUrl: '<release PR URL>' })
+                : [];
+            if (ticketUpdates.length > 0) {
+                log(chalk.cyan('\n--dry-run: would update tickets after creating the release PR:'));
+                for (const update of ticketUpdates) {
+                    log(describeTicketUpdate(update));
+                }
+            }
             return;
         }
 
+        // Set when cherry-picking onto an existing release branch (--existing-release append)
+        let appendState = null;
+
         // Confirmation (skip in CI)
         if (argv.ci) {
             err(chalk.gray('[CI] Changelog preview logged. Proceeding automatically.'));
@@ -1514,17 +2495,36 @@ async function main() {
                 throw new Error('Unable to determine release version. Check semantic-versioning inputs.');
             }
 
-            const releaseBranch = `release/${computedNextVersion}`;
             const startPoint = argv.main; // e.g., 'origin/main' or a local ref
-            await ensureReleaseBranchFresh(releaseBranch, startPoint);
+            if (overrideBranch && overrideBranch !== releaseBranch) {
+                // Overridden up front, but the selection landed on another version: the old branch still goes
+                await ensureReleaseBranchFresh(overrideBranch, startPoint, 'override');
+            }
+            const existing =
+                appendTarget ?? (await ensureReleaseBranchFresh(releaseBranch, startPoint, releaseBranch === overrideBranch ? 'override' : null));
+            if (existing && !appendTarget) {
+                // Appending is settled before the commit selection; a branch found only now was not cut after the current version
+                throw new Error(`Cannot append to "${releaseBranch}": it is not a release after ${argv['current-version']}.`);
+            }
+
+            if (appendTarget) {
+                // ── Append: the selection holds only what the release branch lacks; keep its PR ──
+                await checkoutReleaseBranch(releaseBranch, appendTarget.localExists);
+                appendState = { releaseCommits: await findReleaseCommits(startPoint, appendTarget.version) };
+                log(chalk.cyan(`Appending ${bottomToTop.length} commit(s) to ${chalk.bold(releaseBranch)}; the changelog now covers ${releaseHashes.length}.`));
+                if (appendTarget.version !== computedNextVersion) {
+                    log(chalk.cyan(`The appended commits move the release from ${appendTarget.version} to ${chalk.bold(computedNextVersion)}.`));
+                }
+            }
 
             await fsPromises.writeFile('RELEASE_CHANGELOG.md', previewChangelog, 'utf8');
             await gitRaw(['reset', 'RELEASE_CHANGELOG.md']);
             log(chalk.gray(`✅ Generated changelog for ${releaseBranch} → RELEASE_CHANGELOG.md`));
 
-            log(chalk.cyan(`\nCreating ${chalk.bold(releaseBranch)} from ${chalk.bold(startPoint)}...`));
-
-            await git.checkoutBranch(releaseBranch, startPoint);
+            if (!existing) {
+                log(chalk.cyan(`\nCreating ${chalk.bold(releaseBranch)} from ${chalk.bold(startPoint)}...`));
+                await git.checkoutBranch(releaseBranch, startPoint);
+            }
 
             log(chalk.green(`✓ Ready on ${chalk.bold(releaseBranch)}. Cherry-picking will apply here.`));
         } else {
@@ -1543,7 +2543,8 @@ async function main() {
 
         log(chalk.cyan(`\nCherry-picking ${bottomToTop.length} commit(s) onto ${currentBranch} (oldest → newest)...\n`));
 
-        const stats = await cherryPickSequential(bottomToTop);
+        const mergeHashes = new Set(candidates.filter((c) => c.isMerge).map((c) => c.hash));
+        const stats = await cherryPickSequential(bottomToTop, { mergeHashes });
 
         log(chalk.gray(`\nSummary → applied: ${stats.applied}, skipped: ${stats.skipped}`));
 
@@ -1561,43 +2562,115 @@ async function main() {
         }
 
         if (argv['push-release']) {
-            const baseBranchForGh = stripOrigin(argv.main); // 'origin/main' -> 'main'
-            const prTitle = `Release ${computedNextVersion}`;
-            const releaseBranch = `release/${computedNextVersion}`;
+            const baseBranch = stripOrigin(argv.main); // 'origin/main' -> 'main'
 
             const onBranch = await gitRaw(['rev-parse', '--abbrev-ref', 'HEAD']);
             if (!onBranch.startsWith(releaseBranch)) {
                 throw new Error(`Version update should happen on a release branch. Current: ${onBranch}`);
             }
 
-            log(chalk.cyan(`\nUpdating ${argv['version-file']} version → ${computedNextVersion} ...`));
-            await setPkgVersion(argv['version-file'], computedNextVersion);
-            await git.add([argv['version-file']]);
-            const msg = argv['version-commit-message'].replace('{{version}}', computedNextVersion);
-            await git.raw(['commit', '--no-verify', '-m', msg]);
+            if (appendState?.releaseCommits.length > 0) {
+                // Undo the earlier release commits so the version files and CHANGELOG cover the whole release once
+                const shas = appendState.releaseCommits.map(shortSha).join(', ');
+                log(chalk.cyan(`\nRedoing release commit(s) ${shas} with the updated notes ...`));
+                try {
+                    await gitRaw(['revert', '--no-commit', ...appendState.releaseCommits]);
+                } catch (e) {
+                    try { await gitRaw(['revert', '--abort']); } catch {}
+                    throw new Error(`Cannot revert release commit(s) ${shas}: ${e.message}`);
+                }
+            }
+
+            const releaseFiles = [];
+            if (argv['version-file'] !== GIT_TAG_SOURCE) {
+                log(chalk.cyan(`\nUpdating ${argv['version-file']} version → ${computedNextVersion} ...`));
+                await setPkgVersion(argv['version-file'], computedNextVersion);
+                releaseFiles.push(argv['version-file']);
+            }
+            for (const pkg of packageReleases.filter((p) => p.next !== p.previous)) {
+                log(chalk.cyan(`Updating ${pkg.name} version → ${pkg.next} ...`));
+                await setPkgVersion(pkg.manifestPath, pkg.next);
+                releaseFiles.push(pkg.manifestPath);
+            }
+            if (argv['changelog-file']) {
+                const changelogPath = argv['changelog-file'];
+                const existing = await readText(changelogPath);
+                log(chalk.cyan(`Adding release notes to ${changelogPath}${isKeepAChangelog(existing) ? ' (Keep a Changelog)' : ''} ...`));
+                const updated = prependRelease(existing, {
+                    version: computedNextVersion,
+                    date: new Date().toISOString().slice(0, 10),
+                    notes: previewChangelog,
+                });
+                await fsPromises.writeFile(changelogPath, updated, 'utf8');
+                releaseFiles.push(changelogPath);
+            }
 
-            log(chalk.green(`✓ package.json updated and committed: ${msg}`));
+            if (releaseFiles.length > 0) {
+                await git.add(releaseFiles);
+                const msg = argv['version-commit-message'].replace('{{version}}', computedNextVersion);
+                if (await gitRaw(['diff', '--cached', '--name-only'])) {
+                    await git.raw(['commit', '--no-verify', '-m', msg]);
+                    log(chalk.green(`✓ Version updated and committed: ${msg}`));
+                } else {
+                    log(chalk.gray('Version files already up to date — nothing to commit.'));
+                }
+            } else {
+                log(chalk.gray(`Version comes from git tags — nothing to commit. Tag the merged release as v${computedNextVersion}.`));
+            }
 
             await gitRaw(['push', '-u', 'origin', releaseBranch, '--no-verify']);
 
-            const ghArgs = [
-                'pr',
-                'create',
-                '--base',
-                baseBranchForGh,
-                '--head',
-                releaseBranch,
-                '--title',
-                prTitle,
-                '--body-file',
-                'RELEASE_CHANGELOG.md',
-            ];
-            if (argv['draft-pr']) {
-                ghArgs.push('--draft');
+            const { provider, template } = prConfig;
+            let prBody = previewChangelog;
+            if (template) {
+                prBody = mergePrTemplate(template.text, previewChangelog);
+                await fsPromises.writeFile('RELEASE_CHANGELOG.md', prBody, 'utf8');
+                log(chalk.gray(`Merged the changelog into the PR template ${template.path}.`));
             }
-
-            await runGh(ghArgs);
+            let pr = null;
+            if (appendState) {
+                // Editing keeps the PR's review comments and approvals
+                log(chalk.cyan(`\nUpdating the release pull request on ${provider.name} (${provider.via}) ...`));
+                // A changed version renames the PR; the branch keeps its name
+                const title = appendTarget.version !== computedNextVersion ? buildPrMetadata(prConfig, computedNextVersion).title : undefined;
+                pr = await provider.updatePullRequest({ head: releaseBranch, title, body: prBody, bodyFile: 'RELEASE_CHANGELOG.md' });
+                if (pr) {
+                    log(chalk.green(`✓ Updated PR${pr.number ? ` #${pr.number}` : ''} description (${pr.draft ? 'draft' : pr.state}): ${pr.url ?? 'URL unknown'}`));
+                } else {
+                    err(chalk.yellow(`⚠ No open pull request from ${releaseBranch}; opening a new one.`));
+                }
+            }
+            if (!pr) {
+                log(chalk.cyan(`\nOpening the release pull request on ${provider.name} (${provider.via}) ...`));
+                pr = await provider.createPullRequest({
+                    ...buildPrMetadata(prConfig, computedNextVersion),
+                    base: baseBranch,
+                    head: releaseBranch,
+                    body: prBody,
+                    bodyFile: 'RELEASE_CHANGELOG.md',
+                    draft: Boolean(argv['draft-pr']),
+                });
+                log(chalk.green(`✓ Opened PR${pr.number ? ` #${pr.number}` : ''} (${pr.draft ? 'draft' : pr.state}): ${pr.url ?? 'URL unknown'}`));
+            }
+            for (const warning of pr.warnings) {
+                err(chalk.yellow(`⚠ ${warning}`));
+            }
+            ciResult.pr = { url: pr.url, number: pr.number, state: pr.state, draft: pr.draft };
             log(chalk.gray(`Pushed ${onBranch} with version bump.`));
+
+            if (trackerConfig) {
+                ciResult.tickets = await updateReleasedTickets(releasedTickets, trackerConfig, { version: computedNextVersion, prUrl: pr.url });
+            }
+
+            if (backMergeRelease) {
+                ciResult.backMerge = await openBackMergePr(provider, prConfig, {
+                    head: releaseBranch,
+                    headRef: releaseBranch,
+                    version: computedNextVersion,
+                    // An earlier run may have opened it already
+                    reuse: Boolean(appendState),
+                });
+            }
         }
 
         // Clean up temporary changelog file
@@ -1614,6 +2687,13 @@ async function main() {
         ciResult.version.previous = argv['current-version'] || null;
         ciResult.version.next = computedNextVersion || null;
         ciResult.version.bump = detectedBump || null;
+        ciResult.packages = packageReleases.map((p) => ({
+            name: p.name,
+            path: p.dir,
+            previous: p.previous,
+            next: p.next,
+            bump: p.bump || null,
+        }));
         ciResult.branch = finalBranch;
         ciResult.commits.total = bottomToTop.length;
         ciResult.changelog = previewChangelog;
@@ -1656,32 +2736,77 @@ main();
  * Utils
  */
 
-async function ensureReleaseBranchFresh(branchName, startPoint) {
+/**
+ * The newest release branch (local or on origin) for a version after `currentVersion`, i.e. a
+ * release still under way. Resolves with { branch, version, localExists, remoteExists } or null.
+ */
+async function findPendingReleaseBranch(currentVersion) {
+    const prefix = releaseBranchName('');
+    const refs = (await gitRaw(['for-each-ref', '--format=%(refname)', `refs/heads/${prefix}`, `refs/remotes/origin/${prefix}`]).catch(() => ''))
+        .split('\n')
+        .filter(Boolean);
+    const versions = refs
+        .map((ref) => ref.replace(/^refs\/(?:heads|remotes\/origin)\//, '').slice(prefix.length))
+        .filter((v) => semver.valid(v) && semver.gt(v, currentVersion))
+        .sort(semver.rcompare);
+    if (versions.length === 0) return null;
+    const branch = `${prefix}${versions[0]}`;
+    return {
+        branch,
+        version: versions[0],
+        localExists: refs.includes(`refs/heads/${branch}`),
+        remoteExists: refs.includes(`refs/remotes/origin/${branch}`),
+    };
+}
+
+/** What to do with an existing release branch: --existing-release, or the user's answer when it is "ask". Throws on abort. */
+async function resolveExistingReleaseAction(branchName, where) {
+    let action = argv['existing-release'];
+    if (action === 'ask') {
+        if (argv.ci) {
+            throw new Error(`Release branch "${branchName}" already exists${where}. Pass --existing-release override, append or abort.`);
+        }
+        ({ action } = await prompt([
+            {
+                type: 'select',
+                name: 'action',
+                message: `Release branch "${branchName}" already exists${where}. How do you want to proceed? (override, append, abort)`,
+                choices: [
+                    { name: 'Override (delete existing branch and recreate)', value: 'override' },
+                    { name: 'Append (add the new commits and update its PR)', value: 'append' },
+                    { name: 'Abort', value: 'abort' },
+                ],
+            },
+        ]));
+    } else {
+        log(chalk.gray(`Release branch "${branchName}" already exists${where} — ${action} (--existing-release).`));
+    }
+
+    if (action === 'abort') {
+        throw new Error(`Aborted: release branch "${branchName}" already exists.`);
+    }
+    return action;
+}
+
+/**
+ * Make way for the release branch. When it already exists, `action` (by default
+ * resolveExistingReleaseAction) decides: override deletes it, append keeps it and resolves with
+ * { localExists, remoteExists }, abort throws. Resolves with null when the branch is (now) free to create.
+ */
+async function ensureReleaseBranchFresh(branchName, startPoint, action = null) {
     const branches = await git.branchLocal();
     const localExists = branches.all.includes(branchName);
     const remoteRef = await gitRaw(['ls-remote', '--heads', 'origin', branchName]);
     const remoteExists = Boolean(remoteRef);
 
     if (!localExists && !remoteExists) {
-        return;
+        return null;
     }
 
-    const { action } = await prompt([
-        {
-            type: 'select',
-            name: 'action',
-            message: `Release branch "${branchName}" already exists${localExists ? ' locally' : ''}${
-                remoteExists ? ' on origin' : ''
-            }. How do you want to proceed? (override, abort)`,
-            choices: [
-                { name: 'Override (delete existing branch and recreate)', value: 'override' },
-                { name: 'Abort', value: 'abort' },
-            ],
-        },
-    ]);
-
-    if (action === 'abort') {
-        throw new Error(`Aborted: release branch "${branchName}" already exists.`);
+    const where = `${localExists ? ' locally' : ''}${remoteExists ? ' on origin' : ''}`;
+    const chosen = action ?? (await resolveExistingReleaseAction(branchName, where));
+    if (chosen === 'append') {
+        return { localExists, remoteExists };
     }
 
     // Ensure we are not on the branch before deleting local copy
@@ -1704,27 +2829,55 @@ async function ensureReleaseBranchFresh(branchName, startPoint) {
             throw e;
         }
     }
+    return null;
+}
+
+/** Check out an existing release branch, tracking origin's copy when there is no local one. */
+async function checkoutReleaseBranch(branchName, localExists) {
+    log(chalk.cyan(`\nChecking out existing ${chalk.bold(branchName)}...`));
+    if (localExists) {
+        await gitRaw(['checkout', branchName]);
+    } else {
+        await gitRaw(['fetch', 'origin', `${branchName}:refs/remotes/origin/${branchName}`]);
+        await gitRaw(['checkout', '-b', branchName, '--track', `origin/${branchName}`]);
+    }
 }
 
-async function buildChangelogBody({ version, hashes, gitRawFn, semverIgnore, trackerConfig }) {
+/** Version-bump commits (by --version-commit-message) between `startPoint` and HEAD, newest first. */
+async function findReleaseCommits(startPoint, version) {
+    const subject = argv['version-commit-message'].replace('{{version}}', version).split('\n')[0];
+    const lines = (await gitRaw(['log', '--format=%H%x00%s', `${startPoint}..HEAD`])).split('\n').filter(Boolean);
+    return lines.map((line) => line.split('\0')).filter(([, s]) => s === subject).map(([hash]) => hash);
+}
+
+async function buildChangelogBody({
+    version,
+    previousVersion,
+    bump,
+    hashes,
+    gitRawFn,
+    semverIgnore,
+    trackerConfig,
+    ticketMetadata = null,
+    header: customHeader,
+}) {
     const today = new Date().toISOString().slice(0, 10);
-    const header = version ? `## Release ${version} — ${today}` : `## Release — ${today}`;
     const semverIgnorePatterns = parseSemverIgnore(semverIgnore);
 
-    const breakings = [];
-    const features = [];
-    const fixes = [];
-    const others = [];
-
+    const entries = [];
     let linkedCount = 0;
+    const linkedByTracker = new Map((trackerConfig || []).map((t) => [t.name, 0]));
 
     for (const h of hashes) {
-        const msg = await gitRawFn(['show', '--format=%B', '-s', h]);
+        const [authorName, authorEmail, ...rest] = (await gitRawFn(['show', '--format=%an%x00%ae%x00%B', '-s', h])).split('\0');
+        const msg = rest.join('\0');
 
         const rawSubject = msg.split(/\r?\n/)[0].trim(); // first line of commit message
-        const subject = linkifyTicket(rawSubject, trackerConfig);
-        if (trackerConfig && subject !== rawSubject) linkedCount++;
-        const shaDisplay = shortSha(h);
+        const { subject, tickets } = linkifyTickets(rawSubject, trackerConfig, ticketMetadata, ticketLinkOptions());
+        if (tickets.length > 0) linkedCount++;
+        for (const name of new Set(tickets.map((t) => t.tracker))) {
+            linkedByTracker.set(name, linkedByTracker.get(name) + 1);
+        }
 
         // normal classification first
         let level = classifySingleCommit(msg);
@@ -1732,45 +2885,87 @@ async function buildChangelogBody({ version, hashes, gitRawFn, semverIgnore, tra
         // ⬇ Apply ignore-semver logic
         const matched = matchesAnyPattern(msg, semverIgnorePatterns); // evaluate against full message
         if (matched) {
-            level = null; // drop it into "Other"
+            level = null; // no bump level: only type-based sections (or the catch-all) pick it up
         }
 
-        switch (level) {
-            case 'major':
-                breakings.push(`${shaDisplay} ${subject}`);
-                break;
-            case 'minor':
-                features.push(`${shaDisplay} ${subject}`);
-                break;
-            case 'patch':
-                fixes.push(`${shaDisplay} ${subject}`);
-                break;
-            default:
-                others.push(`${shaDisplay} ${subject}`);
-                break;
-        }
+        entries.push({
+            hash: h,
+            sha: shortSha(h),
+            url: forgeLinks ? forgeLinks.commitUrl(h) : null,
+            subject: linkifyPullRequests(subject, forgeLinks),
+            tickets,
+            level,
+            ...parseConventionalSubject(rawSubject),
+            authors: collectContributors([{ authors: [{ name: authorName, email: authorEmail }, ...parseCoAuthors(msg)] }]),
+            breakingNotes: parseBreakingNotes(msg),
+        });
     }
 
-    if (trackerConfig) {
-        log(chalk.gray(`Tracker: ${linkedCount} of ${hashes.length} commits had ticket IDs linked.`));
+    // Package sections (custom header) repeat commits already counted in the release body
+    if (trackerConfig && !customHeader) {
+        const perTracker = linkedByTracker.size > 1 ? ` (${[...linkedByTracker].map(([name, n]) => `${name}: ${n}`).join(', ')})` : '';
+        log(chalk.gray(`Tracker: ${linkedCount} of ${hashes.length} commits had ticket IDs linked${perTracker}.`));
     }
 
-    const sections = [];
-    if (breakings.length) {
-        sections.push(`### ✨ Breaking Changes\n${breakings.join('\n')}`);
-    }
-    if (features.length) {
-        sections.push(`### ✨ Features\n${features.join('\n')}`);
-    }
-    if (fixes.length) {
-        sections.push(`### 🐛 Fixes\n${fixes.join('\n')}`);
-    }
-    if (others.length) {
-        sections.push(`### 🧹 Others\n${others.join('\n')}`);
-    }
+    const sections = groupIntoSections(entries, changelogConfig.sections).map((section) => ({
+        ...section,
+        groups: groupByScope(section.commits, changelogConfig.scopes),
+    }));
+    const formatEntry = (c) => {
+        const sha = c.url ? `[${c.sha}](${c.url})` : c.sha;
+        let line = `${sha} ${c.subject}`;
+        if (argv.contributors) {
+            line += ` — ${c.authors.map((a) => a.name).join(', ')}`;
+        }
+        if (argv['breaking-notes']) {
+            line += c.breakingNotes.map((note) => `\n  > ${note}`).join('');
+        }
+        return line;
+    };
+    // A blank line closes an entry's quoted notes; otherwise the next entry would render inside the quote
+    const formatLines = (commits) =>
+        commits
+            .map((c, i) => (argv['breaking-notes'] && c.breakingNotes.length > 0 && i < commits.length - 1 ? `${formatEntry(c)}\n` : formatEntry(c)))
+            .join('\n');
+    const contributors = collectContributors(entries);
+    const tickets = groupByTicket(entries);
+    const blocks = argv['group-by-ticket']
+        ? tickets.map((t) => {
+            const label = t.title ? `${t.label}: ${t.title.replace(/[[\]]/g, '\\$&')}` : t.label;
+            return `### ${t.url ? `[${label}](${t.url})` : label}\n${formatLines(t.commits)}`;
+        })
+        : sections.map((section) => {
+            if (!argv['group-by-scope']) {
+                return `### ${section.title}\n${formatLines(section.commits)}`;
+            }
+            const groups = section.groups.map((g) => `#### ${g.label}\n${formatLines(g.commits)}`);
+            return `### ${section.title}\n\n${groups.join('\n\n')}`;
+        });
+    // Package sections (custom header) are credited in the release body's Contributors list
+    if (argv.contributors && contributors.length > 0 && !customHeader) {
+        blocks.push(`### 👥 Contributors\n${contributors.map((p) => `- ${p.name}`).join('\n')}`);
+    }
+    const body = blocks.join('\n\n');
+
+    const context = {
+        version: version || '',
+        previousVersion: previousVersion || '',
+        bump: bump || '',
+        date: today,
+        sections,
+        tickets,
+        contributors,
+        changelog: body,
+        commitCount: hashes.length,
+    };
+    const header = customHeader || renderTemplate(changelogConfig.header, context);
 
-    return `${header}\n\n${sections.join('\n\n')}\n`;
+    if (changelogConfig.template && !customHeader) {
+        return renderTemplate(changelogConfig.template, { ...context, header });
+    }
+    return `${header}\n\n${body}\n`;
 }
+
 function shortSha(sha) {
     return String(sha).slice(0, 7);
 }
@@ -1779,19 +2974,24 @@ function stripOrigin(ref) {
     return ref.startsWith('origin/') ? ref.slice('origin/'.length) : ref;
 }
 
-async function checkGhCli() {
+async function commandExists(bin) {
     return new Promise((resolve) => {
-        const p = spawn('gh', ['--version'], { stdio: 'pipe' });
+        const p = spawn(bin, ['--version'], { stdio: 'pipe' });
         p.on('error', () => resolve(false));
         p.on('close', (code) => resolve(code === 0));
     });
 }
 
-async function runGh(args) {
+/** Run a CLI (gh, glab); resolves with its stdout (e.g. the PR URL), which the caller reports. */
+async function runCommand(bin, args) {
     return new Promise((resolve, reject) => {
-        const p = spawn('gh', args, { stdio: 'inherit' });
+        const p = spawn(bin, args, { stdio: ['inherit', 'pipe', 'inherit'] });
+        let stdout = '';
+        p.stdout.on('data', (chunk) => {
+            stdout += chunk;
+        });
         p.on('error', reject);
-        p.on('close', (code) => (code === 0 ? resolve() : reject(new Error(`gh exited ${code}`))));
+        p.on('close', (code) => (code === 0 ? resolve(stdout.trim()) : reject(new Error(`${bin} exited ${code}`))));
     });
 }
 async function readJson(filePath) {
@@ -1809,10 +3009,31 @@ async function writeJson(filePath, data) {
     await fsPromises.writeFile(filePath, text, 'utf8');
 }
 
-/** Read package.json version; prompt to create file with 0.0.0 if it does not exist */
+async function readText(filePath) {
+    try {
+        return await fsPromises.readFile(filePath, 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+}
+
+/** Read the current version via the --version-file adapter; prompt to create the file with 0.0.0 if it does not exist */
 async function getPkgVersion(pkgPath) {
-    let pkg = await readJson(pkgPath);
-    if (!pkg) {
+    if (pkgPath === GIT_TAG_SOURCE) {
+        const tag = await getLatestReleaseTag(argv.main, gitRaw);
+        if (!tag) {
+            throw new Error(`--version-file ${GIT_TAG_SOURCE}: no v* tag is reachable from ${argv.main}`);
+        }
+        return tag.replace(/^v/, '');
+    }
+
+    const source = getVersionSource(pkgPath);
+    let text = await readText(pkgPath);
+    if (text === null) {
+        if (!source.create) {
+            throw new Error(`Version file ${pkgPath} does not exist. Aborting.`);
+        }
         log(chalk.yellow(`⚠ ${pkgPath} not found.`));
         const { shouldCreate } = await prompt([
             {
@@ -1825,25 +3046,33 @@ async function getPkgVersion(pkgPath) {
         if (!shouldCreate) {
             throw new Error(`Version file ${pkgPath} does not exist. Aborting.`);
         }
-        pkg = { "version": "0.0.0" };
-        await writeJson(pkgPath, pkg);
+        text = source.create('0.0.0');
+        await fsPromises.writeFile(pkgPath, text, 'utf8');
         log(chalk.green(`✓ Created ${pkgPath} with version 0.0.0`));
     }
-    const v = pkg.version;
+    const v = source.read(text);
     if (!v) {
-        throw new Error(`No "version" field found in ${pkgPath}`);
+        throw new Error(`No version found in ${pkgPath} (${source.name})`);
     }
     return v;
 }
 
-/** Update package.json version in-place; create file if it does not exist */
+/**
+ * Update the version in-place, keeping the rest of the file untouched; create the file if it does not exist.
+ * Returns false when there is no file to write (git-tag source).
+ */
 async function setPkgVersion(pkgPath, nextVersion) {
-    let pkg = await readJson(pkgPath);
-    if (!pkg) {
-        pkg = {};
+    if (pkgPath === GIT_TAG_SOURCE) {
+        return false;
     }
-    pkg.version = nextVersion;
-    await writeJson(pkgPath, pkg);
+
+    const source = getVersionSource(pkgPath);
+    const text = await readText(pkgPath);
+    if (text === null && !source.create) {
+        throw new Error(`Version file ${pkgPath} does not exist. Aborting.`);
+    }
+    await fsPromises.writeFile(pkgPath, text === null ? source.create(nextVersion) : source.write(text, nextVersion), 'utf8');
+    return true;
 }
 
 function parseSemverIgnore(argvValue) {
@@ -0,0 +1,57 @@
+export const BUMP_LEVELS = ['major', 'minor', 'patch'];
+
+/** Conventional Commit types that bump the version out of the box. */
+export const DEFAULT_BUMP_TYPES = { feat: 'minor', fix: 'patch', perf: 'patch' };
+
+const TYPE_RE = /^[a-z][\w-]*$/i;
+const BREAKING_FOOTER_RE = /\bBREAKING[- _]CHANGE(?:\([^)]+\))?\s*:?/i;
+// `type!:` / `type(scope)!:` at the start of any line (squash bodies list several commits)
+const BANG_RE = /(^|\n)\s*(\*?\s*)?[a-z][\w-]*(?:\([^)]+\))?!:/i;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the type → bump rules from the `semver` section of .cherrypickrc.json.
+ * `types` entries are merged over DEFAULT_BUMP_TYPES; `"none"` (or null) removes a type.
+ * `bang: false` stops `feat!:` from counting as a breaking change.
+ *
+ * @param {{ types?: Record<string, string|null>, bang?: boolean }} [config]
+ */
+export function createBumpRules({ types = {}, bang = true } = {}) {
+    const merged = { ...DEFAULT_BUMP_TYPES };
+    for (const [type, level] of Object.entries(types || {})) {
+        if (!TYPE_RE.test(type)) {
+            throw new Error(`Invalid commit type "${type}" in semver.types`);
+        }
+        if (level === null || level === 'none') {
+            delete merged[type];
+            continue;
+        }
+        if (!BUMP_LEVELS.includes(level)) {
+            throw new Error(`Invalid bump "${level}" for type "${type}" in semver.types. Expected major, minor, patch or none.`);
+        }
+        merged[type] = level;
+    }
+
+    const levels = BUMP_LEVELS.map((level) => {
+        const matching = Object.keys(merged).filter((type) => merged[type] === level);
+        if (matching.length === 0) return null;
+        const alternatives = matching.map(escapeRegExp).join('|');
+        return { level, regex: new RegExp(`(^|\\n)\\s*(\\*?\\s*)?(?:${alternatives})(?:\\([^)]+\\))?!?\\s*:?`, 'i') };
+    }).filter(Boolean);
+
+    return { types: merged, bang: bang !== false, levels };
+}
+
+/** Returns "major" | "minor" | "patch" | null for a single commit message. */
+export function classifyCommit(message, rules) {
+    const body = String(message || '').replace(/\r\n/g, '\n');
+
+    if (BREAKING_FOOTER_RE.test(body) || (rules.bang && BANG_RE.test(body))) {
+        return 'major';
+    }
+    for (const { level, regex } of rules.levels) {
+        if (regex.test(body)) return level;
+    }
+    return null;
+}
@@ -0,0 +1,85 @@
+const UNRELEASED_RE = /^##\s*\[?unreleased\]?[^\n]*$/im;
+const UNRELEASED_LINK_RE = /^\[unreleased\]:[ \t]*(\S*\/compare\/)(\S+?)\.\.\.(\S+)[ \t]*$/im;
+const TITLE_RE = /^#\s[^\n]*\n+/;
+
+/** Keep a Changelog files carry an `## [Unreleased]` section. */
+export function isKeepAChangelog(text) {
+    return UNRELEASED_RE.test(text || '');
+}
+
+/**
+ * Point `[Unreleased]: …/compare/v1.8.0...HEAD` at the new version and add a
+ * `[1.9.0]: …/compare/v1.8.0...v1.9.0` reference below it. Untouched if there is no such link.
+ */
+function updateCompareLinks(text, version) {
+    const match = UNRELEASED_LINK_RE.exec(text);
+    if (!match) return text;
+    const [line, base, previous, head] = match;
+    const tag = previous.startsWith('v') ? `v${version}` : version;
+    const label = line.slice(1, line.indexOf(']'));
+    return text.replace(line, `[${label}]: ${base}${tag}...${head}\n[${version}]: ${base}${previous}...${tag}`);
+}
+
+function prependKeepAChangelog(text, { version, date, notes }) {
+    const heading = UNRELEASED_RE.exec(text);
+    const bodyStart = heading.index + heading[0].length;
+    const nextHeading = /^##\s/m.exec(text.slice(bodyStart));
+    const bodyEnd = nextHeading ? bodyStart + nextHeading.index : text.length;
+
+    // A trailing link-reference block belongs to the whole file, not to Unreleased
+    let unreleased = text.slice(bodyStart, bodyEnd);
+    let tail = text.slice(bodyEnd);
+    if (!nextHeading) {
+        const links = /\n(\[[^\]]+\]:[^\n]*\n?)+\s*$/.exec(unreleased);
+        if (links) {
+            tail = unreleased.slice(links.index) + tail;
+            unreleased = unreleased.slice(0, links.index);
+        }
+    }
+
+    // Our own `## Release …` header is replaced by the Keep a Changelog version heading
+    const generated = notes.replace(/^##\s[^\n]*\n+/, '').trim();
+    const body = [unreleased.trim(), generated].filter(Boolean).join('\n\n');
+    const section = `## [${version}] - ${date}\n\n${body}\n\n`;
+
+    const updated = `${text.slice(0, bodyStart)}\n\n${section}${tail.replace(/^\n+/, '')}`;
+    return updateCompareLinks(updated, version);
+}
+
+/**
+ * Add a release to the contents of a CHANGELOG file (null when the file does not exist yet).
+ * Keep a Changelog files get a `## [version] - date` section holding the Unreleased entries
+ * plus the generated notes, with Unreleased left empty. Other files get the notes
+ * prepended below their `# Title`.
+ *
+ * @param {string|null} text
+ * @param {{ version: string, date: string, notes: string }} release - `notes` is the generated changelog
+ */
+export function prependRelease(text, release) {
+    const notes = `${release.notes.trim()}\n`;
+    if (!text || !text.trim()) {
+        return `# Changelog\n\n${notes}`;
+    }
+    if (isKeepAChangelog(text)) {
+        return prependKeepAChangelog(text, release);
+    }
+    const title = TITLE_RE.exec(text);
+    return title ? `${title[0]}${notes}\n${text.slice(title[0].length)}` : `${notes}\n${text}`;
+}
+
+/**
+ * The section of `version` in the contents of a CHANGELOG file, heading included, or null.
+ * It runs up to the next heading of the same shape (`## [x.y.z]`, `## Release x.y.z`), so
+ * per-package `## name@x.y.z` sections written with it stay part of it.
+ */
+export function extractRelease(text, version) {
+    const escaped = version.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const heading = new RegExp(`^(##\\s[^\\n]*?\\[?)(?<![\\w.])${escaped}(?![\\w.-])[^\\n]*$`, 'm').exec(text || '');
+    if (!heading) return null;
+    const prefix = heading[1];
+    const bodyStart = heading.index + heading[0].length;
+    const lines = text.slice(bodyStart).split('\n');
+    const end = lines.findIndex((line) => line.startsWith(prefix));
+    const body = end === -1 ? lines : lines.slice(0, end);
+    return `${heading[0]}${body.join('\n')}`.trim();
+}
@@ -0,0 +1,285 @@
+import { BUMP_LEVELS } from './bump-rules.js';
+
+/** Catch-all section type: collects commits no other section claims. */
+export const CATCH_ALL = '*';
+
+/** Group label for entries without a `(scope)` when grouping by scope. */
+export const GENERAL_SCOPE_LABEL = 'General';
+
+/** Group label for entries without a ticket ID in the ticket layout. */
+export const NO_TICKET_LABEL = 'No ticket';
+
+export const DEFAULT_CHANGELOG_HEADER = '## Release{{#if version}} {{version}}{{/if}} — {{date}}';
+
+/** Sections used when .cherrypickrc.json has no `changelog.sections`, grouped by bump level. */
+export const DEFAULT_CHANGELOG_SECTIONS = [
+    { title: '💥 Breaking Changes', bump: 'major' },
+    { title: '✨ Features', bump: 'minor' },
+    { title: '🐛 Fixes', bump: 'patch' },
+    { title: '🧹 Others', types: [CATCH_ALL] },
+];
+
+const CONVENTIONAL_RE = /^([a-z][\w-]*)(?:\(([^)]*)\))?(!)?:\s*/i;
+
+/** Split a Conventional Commit subject into `{ type, scope }`; both are null for free-form subjects. */
+export function parseConventionalSubject(subject) {
+    const match = CONVENTIONAL_RE.exec(String(subject || ''));
+    if (!match) return { type: null, scope: null };
+    return { type: match[1].toLowerCase(), scope: match[2] || null };
+}
+
+const BREAKING_FOOTER_RE = /^BREAKING[- ]CHANGE:\s*(.*)$/;
+const TRAILER_LINE_RE = /^[\w-]+:\s/;
+const CO_AUTHOR_RE = /^co-authored-by:\s*(.+?)\s*<([^>]+)>\s*$/gim;
+
+/**
+ * Extract `BREAKING CHANGE:` / `BREAKING-CHANGE:` footers from a commit message.
+ * A note runs until a blank line or the next trailer.
+ */
+export function parseBreakingNotes(message) {
+    const notes = [];
+    let current = null;
+    for (const line of String(message || '').replace(/\r\n/g, '\n').split('\n').slice(1)) {
+        const start = BREAKING_FOOTER_RE.exec(line);
+        if (start) {
+            current = [start[1].trim()];
+            notes.push(current);
+        } else if (current && line.trim() && !TRAILER_LINE_RE.test(line)) {
+            current.push(line.trim());
+        } else {
+            current = null;
+        }
+    }
+    return notes.map((lines) => lines.filter(Boolean).join(' ')).filter(Boolean);
+}
+
+/** `Co-authored-by: Name <email>` trailers as `{ name, email }`. */
+export function parseCoAuthors(message) {
+    return [...String(message || '').matchAll(CO_AUTHOR_RE)].map((m) => ({ name: m[1], email: m[2] }));
+}
+
+/** Unique people across entries (`authors` arrays), by email, in order of first appearance. */
+export function collectContributors(entries) {
+    const seen = new Map();
+    for (const entry of entries) {
+        for (const person of entry.authors || []) {
+            const key = (person.email || person.name).toLowerCase();
+            if (!seen.has(key)) seen.set(key, person);
+        }
+    }
+    return [...seen.values()];
+}
+
+/**
+ * Validate the `changelog` section of .cherrypickrc.json.
+ * Each section has a `title` and matches commits by Conventional Commit `types`
+ * (`"*"` for everything unclaimed) and/or by `bump` level. Array order is display order.
+ *
+ * `scopes` maps Conventional Commit scopes to group labels for --group-by-scope.
+ *
+ * @param {{ header?: string, sections?: Array<{ title: string, types?: string[], bump?: string }>, scopes?: Record<string, string> }} [config]
+ * @param {string|null} [template] - contents of the template file, if any
+ */
+export function createChangelogConfig({ header, sections, scopes } = {}, template = null) {
+    if (header !== undefined && typeof header !== 'string') {
+        throw new Error('changelog.header must be a string');
+    }
+    if (scopes !== undefined && (typeof scopes !== 'object' || scopes === null || Array.isArray(scopes))) {
+        throw new Error('changelog.scopes must map scope names to labels');
+    }
+    if (sections !== undefined && (!Array.isArray(sections) || sections.length === 0)) {
+        throw new Error('changelog.sections must be a non-empty array');
+    }
+
+    const resolved = (sections || DEFAULT_CHANGELOG_SECTIONS).map((section, i) => {
+        if (!section || typeof section.title !== 'string' || !section.title.trim()) {
+            throw new Error(`changelog.sections[${i}] needs a "title"`);
+        }
+        if (section.bump !== undefined && !BUMP_LEVELS.includes(section.bump)) {
+            throw new Error(`changelog.sections[${i}].bump must be one of: ${BUMP_LEVELS.join(', ')}`);
+        }
+        if (section.types !== undefined && !Array.isArray(section.types)) {
+            throw new Error(`changelog.sections[${i}].types must be an array`);
+        }
+        if (!section.types && !section.bump) {
+            throw new Error(`changelog.sections[${i}] needs "types" or "bump"`);
+        }
+        return { title: section.title, types: (section.types || []).map((t) => t.toLowerCase()), bump: section.bump || null };
+    });
+
+    return { header: header || DEFAULT_CHANGELOG_HEADER, sections: resolved, scopes: scopes || {}, template };
+}
+
+/**
+ * Pick the section for one commit. Breaking commits go to a `bump: "major"` section first,
+ * then a section listing the commit's type, then one matching its bump level, then the catch-all.
+ * Returns the section index, or -1 when no section wants the commit.
+ */
+function findSection(entry, sections) {
+    const byBump = (level) => sections.findIndex((s) => s.bump === level);
+    if (entry.level === 'major' && byBump('major') !== -1) return byBump('major');
+    if (entry.type) {
+        const byType = sections.findIndex((s) => s.types.includes(entry.type));
+        if (byType !== -1) return byType;
+    }
+    if (entry.level && byBump(entry.level) !== -1) return byBump(entry.level);
+    return sections.findIndex((s) => s.types.includes(CATCH_ALL));
+}
+
+/**
+ * Distribute changelog entries over the configured sections, dropping empty ones.
+ * @param {Array<{ level: string|null, type: string|null }>} entries - in changelog order
+ * @returns {Array<{ title: string, commits: Array }>}
+ */
+export function groupIntoSections(entries, sections) {
+    const grouped = sections.map((s) => ({ title: s.title, commits: [] }));
+    for (const entry of entries) {
+        const index = findSection(entry, sections);
+        if (index !== -1) grouped[index].commits.push(entry);
+    }
+    return grouped.filter((s) => s.commits.length > 0);
+}
+
+/**
+ * Sub-group a section's entries by scope label. Labels come from `scopeLabels`
+ * (falling back to the scope itself); entries without a scope go to "General".
+ * Order: labels in `scopeLabels` order, then other scopes alphabetically, then General.
+ *
+ * @param {Array<{ scope: string|null }>} commits
+ * @param {Record<string, string>} scopeLabels
+ * @returns {Array<{ label: string, commits: Array }>}
+ */
+export function groupByScope(commits, scopeLabels = {}) {
+    const groups = new Map();
+    for (const commit of commits) {
+        const label = commit.scope ? scopeLabels[commit.scope] || commit.scope : GENERAL_SCOPE_LABEL;
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(commit);
+    }
+
+    const configured = [...new Set(Object.values(scopeLabels))];
+    const rank = (label) => {
+        if (label === GENERAL_SCOPE_LABEL) return Number.MAX_SAFE_INTEGER;
+        const i = configured.indexOf(label);
+        return i === -1 ? configured.length : i;
+    };
+    return [...groups]
+        .map(([label, items]) => ({ label, commits: items }))
+        .sort((a, b) => rank(a.label) - rank(b.label) || a.label.localeCompare(b.label));
+}
+
+/**
+ * Regroup entries by ticket for the ticket layout. A commit naming several tickets is listed
+ * under each of them. Tickets keep the order they first appear in; commits without a
+ * ticket come last under "No ticket".
+ *
+ * @param {Array<{ tickets: Array<{ tracker: string, id: string, url: string }> }>} commits
+ * @returns {Array<{ label: string, id: string|null, tracker: string|null, url: string|null, title: string|null, status: string|null, commits: Array }>}
+ */
+export function groupByTicket(commits) {
+    const groups = new Map();
+    const unticketed = [];
+    for (const commit of commits) {
+        if (commit.tickets.length === 0) {
+            unticketed.push(commit);
+            continue;
+        }
+        for (const ticket of commit.tickets) {
+            const key = `${ticket.tracker}\0${ticket.id}`;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    label: ticket.id,
+                    id: ticket.id,
+                    tracker: ticket.tracker,
+                    url: ticket.url,
+                    title: ticket.title ?? null,
+                    status: ticket.status ?? null,
+                    commits: [],
+                });
+            }
+            groups.get(key).commits.push(commit);
+        }
+    }
+    const result = [...groups.values()];
+    if (unticketed.length > 0) {
+        result.push({ label: NO_TICKET_LABEL, id: null, tracker: null, url: null, title: null, status: null, commits: unticketed });
+    }
+    return result;
+}
+
+function lookup(context, path) {
+    if (path === 'this') return context.this;
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+const TAG_RE = /\{\{(?:#(each|if)\s+([\w.]+)\s*|\/(each|if)|else)\}\}/g;
+
+/** Find the first top-level block and its matching close tag, tracking nesting. */
+function findBlock(template) {
+    TAG_RE.lastIndex = 0;
+    let open = null;
+    let elseAt = -1;
+    let depth = 0;
+    for (let m = TAG_RE.exec(template); m; m = TAG_RE.exec(template)) {
+        if (m[1]) {
+            if (depth === 0) open = m;
+            depth++;
+        } else if (m[3]) {
+            depth--;
+            if (depth === 0 && open) {
+                const bodyStart = open.index + open[0].length;
+                const bodyEnd = m.index;
+                return {
+                    start: open.index,
+                    end: m.index + m[0].length,
+                    kind: open[1],
+                    path: open[2],
+                    body: template.slice(bodyStart, elseAt === -1 ? bodyEnd : elseAt),
+                    elseBody: elseAt === -1 ? '' : template.slice(elseAt + '{{else}}'.length, bodyEnd),
+                };
+            }
+        } else if (depth === 1 && open) {
+            elseAt = m.index;
+        }
+    }
+    if (open) {
+        throw new Error(`Unclosed {{#${open[1]} ${open[2]}}} block in changelog template`);
+    }
+    return null;
+}
+
+function substitute(text, context) {
+    return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+        const value = lookup(context, path);
+        return value == null ? '' : String(value);
+    });
+}
+
+function render(template, context) {
+    const block = findBlock(template);
+    if (!block) return substitute(template, context);
+
+    const value = lookup(context, block.path);
+    let rendered;
+    if (block.kind === 'each') {
+        rendered = (Array.isArray(value) ? value : [])
+            .map((item) => render(block.body, { ...context, ...(item && typeof item === 'object' ? item : {}), this: item }))
+            .join('');
+    } else {
+        const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+        rendered = render(truthy ? block.body : block.elseBody, context);
+    }
+    return substitute(template.slice(0, block.start), context) + rendered + render(template.slice(block.end), context);
+}
+
+// Like Handlebars, a block tag alone on its line does not leave an empty line behind
+const STANDALONE_TAG_RE = /^[ \t]*(\{\{(?:[#/](?:each|if)[^}]*|else)\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Render a Handlebars-style template: `{{name}}`, `{{a.b}}`, `{{#each list}}…{{/each}}`
+ * (item fields are in scope inside the block, `{{this}}` for plain values) and
+ * `{{#if name}}…{{else}}…{{/if}}`. Substituted values are never re-interpreted as tags.
+ */
+export function renderTemplate(template, context) {
+    return render(template.replace(STANDALONE_TAG_RE, '$1'), context);
+}
@@ -0,0 +1,118 @@
+import isSafeRegex from 'safe-regex2';
+
+export const FILTER_TYPES = ['author', 'path'];
+
+/**
+ * Convert a path glob (`*`, `**`, `?`) to an anchored RegExp. By default the glob also
+ * matches everything below what it names; pass `matchChildren: false` for exact matches.
+ */
+export function globToRegExp(glob, { matchChildren = true } = {}) {
+    const clean = glob.trim().replace(/^\.\//, '').replace(/\/+$/, '');
+    let source = '';
+    for (let i = 0; i < clean.length; i++) {
+        const ch = clean[i];
+        if (ch === '*' && clean[i + 1] === '*') {
+            if (clean[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (ch === '*') {
+            source += '[^/]*';
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else {
+            source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(matchChildren ? `^${source}(?:/.*)?$` : `^${source}$`);
+}
+
+/**
+ * Build one filter. `author` values are case-insensitive regexes matched against "Name <email>";
+ * `path` values are globs matched against the files a commit changes.
+ */
+export function createCommitFilter(type, value, exclude = false) {
+    if (!FILTER_TYPES.includes(type)) {
+        throw new Error(`Unknown filter type "${type}". Expected one of: ${FILTER_TYPES.join(', ')}`);
+    }
+
+    let regex;
+    if (type === 'author') {
+        try {
+            regex = new RegExp(value, 'i');
+        } catch (e) {
+            throw new Error(`Invalid author pattern "${value}": ${e.message}`);
+        }
+        if (!isSafeRegex(regex)) {
+            throw new Error(`Author pattern rejected — potential catastrophic backtracking: "${value}"`);
+        }
+    } else {
+        regex = globToRegExp(value);
+    }
+
+    return { type, value, exclude, enabled: true, label: `${exclude ? '-' : ''}${type}:${value}`, regex };
+}
+
+/** Parse a TUI filter expression: `author:alice`, `-author:bot`, `path:packages/api/**`, `-path:docs/**`. */
+export function parseFilterExpression(expression) {
+    const match = /^\s*(-?)(author|path):(.+)$/.exec(expression || '');
+    if (!match) {
+        throw new Error('Use author:<regex>, path:<glob>, or prefix with "-" to exclude.');
+    }
+    return createCommitFilter(match[2], match[3].trim(), match[1] === '-');
+}
+
+/** Build filters from the comma-separated --author, --exclude-author, --path and --exclude-path values. */
+export function parseCommitFilters({ author, excludeAuthor, path, excludePath }) {
+    const split = (value) =>
+        String(value || '')
+            .split(',')
+            .map((v) => v.trim())
+            .filter(Boolean);
+
+    return [
+        ...split(author).map((v) => createCommitFilter('author', v)),
+        ...split(excludeAuthor).map((v) => createCommitFilter('author', v, true)),
+        ...split(path).map((v) => createCommitFilter('path', v)),
+        ...split(excludePath).map((v) => createCommitFilter('path', v, true)),
+    ];
+}
+
+/**
+ * Keep commits that pass every enabled filter.
+ * Authors: must match one include (if any) and no exclude.
+ * Paths follow git pathspec rules: a commit is kept when at least one changed file
+ * matches an include (if any) and no exclude.
+ *
+ * @param {Array<{author?, email?, files?}>} commits - `files` is required when path filters are enabled
+ * @param {Array} filters - from createCommitFilter / parseCommitFilters
+ */
+export function applyCommitFilters(commits, filters) {
+    const active = filters.filter((f) => f.enabled);
+    if (active.length === 0) return commits;
+
+    const authorIncludes = active.filter((f) => f.type === 'author' && !f.exclude);
+    const authorExcludes = active.filter((f) => f.type === 'author' && f.exclude);
+    const pathIncludes = active.filter((f) => f.type === 'path' && !f.exclude);
+    const pathExcludes = active.filter((f) => f.type === 'path' && f.exclude);
+    const hasPathFilters = pathIncludes.length > 0 || pathExcludes.length > 0;
+
+    return commits.filter((commit) => {
+        const who = `${commit.author || ''} <${commit.email || ''}>`;
+        if (authorIncludes.length > 0 && !authorIncludes.some((f) => f.regex.test(who))) return false;
+        if (authorExcludes.some((f) => f.regex.test(who))) return false;
+
+        if (hasPathFilters) {
+            const relevant = (commit.files || []).filter(
+                (file) =>
+                    (pathIncludes.length === 0 || pathIncludes.some((f) => f.regex.test(file))) &&
+                    !pathExcludes.some((f) => f.regex.test(file)),
+            );
+            if (relevant.length === 0) return false;
+        }
+        return true;
+    });
+}
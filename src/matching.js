@@ -0,0 +1,185 @@
+import { spawn } from 'node:child_process';
+
+export const MATCH_STRATEGIES = ['subject', 'patch-id', 'trailer', 'auto'];
+
+const SEP = '|||';
+const TRAILER_RE = /\(cherry picked from commit ([0-9a-f]{7,40})\)/g;
+
+// Cherry-picks land on main after the original was committed on dev, so main
+// commits older than the oldest candidate (minus clock-skew slack) can be skipped.
+const CLOCK_SKEW_SECONDS = 24 * 60 * 60;
+
+/** Extract the SHAs referenced by `(cherry picked from commit <sha>)` trailers. */
+export function parseCherryPickTrailers(message) {
+    return [...String(message || '').matchAll(TRAILER_RE)].map((m) => m[1]);
+}
+
+/** Map every subject on `branch` to the hashes that carry it (newest first). */
+export async function getSubjects(branch, gitRawFn, { includeMerges = false } = {}) {
+    const mergeArgs = includeMerges ? [] : ['--no-merges'];
+    const out = await gitRawFn(['log', ...mergeArgs, `--pretty=%H${SEP}%s`, branch]);
+    const subjects = new Map();
+    if (!out) {
+        return subjects;
+    }
+    for (const line of out.split('\n').filter(Boolean)) {
+        const [hash, ...rest] = line.split(SEP);
+        const subject = rest.join(SEP);
+        if (!subjects.has(subject)) subjects.set(subject, []);
+        subjects.get(subject).push(hash);
+    }
+    return subjects;
+}
+
+/** Map every SHA referenced by a cherry-pick trailer on `branch` to the commit carrying it. */
+export async function getCherryPickOrigins(branch, gitRawFn) {
+    const out = await gitRawFn([
+        'log', '--fixed-strings', '--grep=(cherry picked from commit',
+        '--pretty=format:%H%x00%B%x1e', branch,
+    ]);
+    const origins = new Map();
+    if (!out) {
+        return origins;
+    }
+    for (const record of out.split('\x1e')) {
+        const [hash, body] = record.trim().split('\0');
+        if (!hash || !body) continue;
+        for (const origin of parseCherryPickTrailers(body)) {
+            origins.set(origin, hash);
+        }
+    }
+    return origins;
+}
+
+/**
+ * Compute stable patch-ids by piping `git diff-tree --stdin -p` into `git patch-id --stable`.
+ * Merge commits are diffed against their first parent, so a merged feature matches its
+ * squashed or `-m 1` picked copy. Commits with an empty diff get no entry.
+ * Returns Map<hash, patchId>.
+ */
+export function getPatchIds(hashes) {
+    if (hashes.length === 0) return Promise.resolve(new Map());
+
+    return new Promise((resolve, reject) => {
+        // --diff-merges=first-parent: exactly one diff per merge (`-m --first-parent` still emits one per parent)
+        const diffTree = spawn('git', ['diff-tree', '--stdin', '-p', '--diff-merges=first-parent', '--no-color'], { stdio: ['pipe', 'pipe', 'ignore'] });
+        const patchId = spawn('git', ['patch-id', '--stable'], { stdio: ['pipe', 'pipe', 'ignore'] });
+
+        let out = '';
+        patchId.stdout.setEncoding('utf8');
+        patchId.stdout.on('data', (chunk) => {
+            out += chunk;
+        });
+        diffTree.on('error', reject);
+        patchId.on('error', reject);
+        diffTree.stdout.pipe(patchId.stdin);
+        diffTree.on('close', (code) => {
+            if (code !== 0) reject(new Error(`git diff-tree exited ${code}`));
+        });
+        patchId.on('close', (code) => {
+            if (code !== 0) {
+                reject(new Error(`git patch-id exited ${code}`));
+                return;
+            }
+            const ids = new Map();
+            for (const line of out.split('\n').filter(Boolean)) {
+                const [id, hash] = line.split(' ');
+                ids.set(hash, id);
+            }
+            resolve(ids);
+        });
+
+        diffTree.stdin.end(`${hashes.join('\n')}\n`);
+    });
+}
+
+/**
+ * Collect what is known about `mainBranch` for the given strategy.
+ * Subject and trailer lookups cover the full history; hash and patch-id lookups
+ * only cover main commits made after the oldest dev candidate.
+ */
+export async function buildMainIndex(mainBranch, devCommits, strategy, gitRawFn, { includeMerges = false } = {}) {
+    const index = { subjects: new Map(), origins: new Map(), hashes: new Set(), patchIds: new Map() };
+    const usePatchId = strategy === 'patch-id' || strategy === 'auto';
+    const mergeArgs = includeMerges ? [] : ['--no-merges'];
+
+    // Trailers are exact, so they are honoured whatever the strategy.
+    index.origins = await getCherryPickOrigins(mainBranch, gitRawFn);
+    if (strategy === 'subject') {
+        index.subjects = await getSubjects(mainBranch, gitRawFn, { includeMerges });
+    }
+    if (strategy !== 'subject' && devCommits.length > 0) {
+        // reduce, not Math.min(...): spreading a huge list overflows the call stack
+        const oldest = devCommits.reduce((min, c) => Math.min(min, c.timestamp || 0), Number.POSITIVE_INFINITY);
+        const out = await gitRawFn([
+            'rev-list', ...mergeArgs, `--since=${Math.max(0, oldest - CLOCK_SKEW_SECONDS)}`, mainBranch,
+        ]);
+        index.hashes = new Set(out ? out.split('\n').filter(Boolean) : []);
+        if (usePatchId) {
+            for (const [hash, id] of await getPatchIds([...index.hashes])) {
+                if (!index.patchIds.has(id)) index.patchIds.set(id, hash);
+            }
+        }
+    }
+    return index;
+}
+
+function findOrigin(hash, origins) {
+    if (origins.has(hash)) return origins.get(hash);
+    for (const [origin, mainHash] of origins) {
+        if (origin.length < hash.length && hash.startsWith(origin)) return mainHash;
+    }
+    return null;
+}
+
+/**
+ * Split dev commits into the ones missing from main and the ones already there.
+ * Each match records why it was considered present: ancestor, trailer, patch-id or subject.
+ * A cherry-pick trailer on main always counts; `auto` then tries patch-id and never
+ * trusts subjects alone.
+ *
+ * @param {Array<{hash, subject}>} devCommits
+ * @param {ReturnType<typeof buildMainIndex>} mainIndex - resolved index
+ * @param {string} strategy
+ * @param {Map<string, string>} devPatchIds - Map<hash, patchId> for the dev commits
+ * @returns {{ missing: Array, matched: Array<{hash, subject, reason, mainHash}> }}
+ */
+export function filterMissing(devCommits, mainIndex, strategy, devPatchIds = new Map()) {
+    const missing = [];
+    const matched = [];
+
+    for (const commit of devCommits) {
+        const match = matchCommit(commit, mainIndex, strategy, devPatchIds);
+        if (match) {
+            matched.push({ hash: commit.hash, subject: commit.subject, ...match });
+        } else {
+            missing.push(commit);
+        }
+    }
+
+    return { missing, matched };
+}
+
+function matchCommit({ hash, subject }, mainIndex, strategy, devPatchIds) {
+    if (mainIndex.hashes.has(hash)) {
+        return { reason: 'ancestor', mainHash: hash };
+    }
+
+    const originHash = findOrigin(hash, mainIndex.origins);
+    if (originHash) {
+        return { reason: 'trailer', mainHash: originHash };
+    }
+
+    if (strategy === 'subject') {
+        const mainHashes = mainIndex.subjects.get(subject);
+        return mainHashes ? { reason: 'subject', mainHash: mainHashes[0] } : null;
+    }
+
+    if (strategy === 'patch-id' || strategy === 'auto') {
+        const id = devPatchIds.get(hash);
+        const mainHash = id && mainIndex.patchIds.get(id);
+        if (mainHash) return { reason: 'patch-id', mainHash };
+    }
+
+    return null;
+}
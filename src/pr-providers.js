@@ -0,0 +1,560 @@
+import { detectForgeType, parseRemoteUrl } from './forge.js';
+
+export const PR_PROVIDERS = ['github', 'gitlab', 'bitbucket', 'gitea'];
+
+// Providers that ship a CLI; the others are only reachable through their REST API
+const CLI_TOOLS = {
+    github: { bin: 'gh', label: 'GitHub CLI (gh)', install: 'https://cli.github.com/' },
+    gitlab: { bin: 'glab', label: 'GitLab CLI (glab)', install: 'https://gitlab.com/gitlab-org/cli' },
+};
+
+async function readJson(res, provider) {
+    if (!res.ok) {
+        const detail = await res.text().catch(() => '');
+        throw new Error(`${provider} API responded ${res.status} ${res.statusText || ''}${detail ? `: ${detail.slice(0, 200)}` : ''}`.trim());
+    }
+    return res.status === 204 ? null : res.json().catch(() => null);
+}
+
+async function sendJson(fetchFn, url, init, provider) {
+    return readJson(await fetchFn(url, init), provider);
+}
+
+/** Like sendJson, but resolves null when the forge answers 404. */
+async function findJson(fetchFn, url, init, provider) {
+    const res = await fetchFn(url, init);
+    return res.status === 404 ? null : readJson(res, provider);
+}
+
+const send = (method, body, headers) => ({ method, headers, body: JSON.stringify(body) });
+const post = (body, headers) => send('POST', body, headers);
+
+/** The last URL printed by a CLI is the new PR/MR; its number is the trailing path segment. */
+function parseCliOutput(stdout) {
+    const url = String(stdout).match(/https?:\/\/\S+/g)?.pop() ?? null;
+    const number = url ? Number(/\/(\d+)\/?$/.exec(url)?.[1]) || null : null;
+    return { url, number };
+}
+
+// GitLab says "opened", Bitbucket "OPEN"; report "open", "closed" or "merged" for all
+const normalizeState = (state) => {
+    const s = String(state || 'open').toLowerCase();
+    return s === 'opened' ? 'open' : s;
+};
+
+const GITHUB_TEMPLATES = [
+    '.github/pull_request_template.md',
+    '.github/PULL_REQUEST_TEMPLATE.md',
+    'pull_request_template.md',
+    'PULL_REQUEST_TEMPLATE.md',
+    'docs/pull_request_template.md',
+    'docs/PULL_REQUEST_TEMPLATE.md',
+];
+
+/** Where each forge looks for the repository's PR description template, relative to the repo root. */
+export const PR_TEMPLATE_PATHS = {
+    github: GITHUB_TEMPLATES,
+    gitlab: ['.gitlab/merge_request_templates/Default.md', '.gitlab/merge_request_templates/default.md'],
+    bitbucket: [],
+    gitea: ['.gitea/pull_request_template.md', '.gitea/PULL_REQUEST_TEMPLATE.md', ...GITHUB_TEMPLATES],
+};
+
+export const CHANGELOG_MARKER = '<!-- changelog -->';
+
+/** Put the changelog into a PR template: in place of the `<!-- changelog -->` marker, or below the template. */
+export function mergePrTemplate(template, changelog) {
+    if (template.includes(CHANGELOG_MARKER)) {
+        return template.replace(CHANGELOG_MARKER, () => changelog);
+    }
+    return `${template.trimEnd()}\n\n${changelog}`;
+}
+
+// Linux caps a single argument at 128 KiB, so longer descriptions cannot go on the glab command line
+const MAX_CLI_ARG_BYTES = 100 * 1024;
+const fitsCliArg = (text) => Buffer.byteLength(text) <= MAX_CLI_ARG_BYTES;
+
+/** glab has no --description-file, but `glab api` reads a field from a file given as `@path`. */
+function setGlabDescription(iid, bodyFile, runFn) {
+    return runFn('glab', ['api', '--method', 'PUT', `projects/:id/merge_requests/${iid}`, '--field', `description=@${bodyFile}`]);
+}
+
+const GITEA_PAGE_SIZE = 50;
+const GITEA_MAX_PAGES = 20;
+
+/** Page through Gitea's open pull requests until `match` finds one; its list API cannot filter by branch. */
+async function findGiteaPull(fetchFn, repoUrl, headers, match) {
+    for (let page = 1; page <= GITEA_MAX_PAGES; page++) {
+        const pulls = (await sendJson(fetchFn, `${repoUrl}/pulls?state=open&limit=${GITEA_PAGE_SIZE}&page=${page}`, { headers }, 'Gitea')) || [];
+        const found = pulls.find(match);
+        if (found || pulls.length < GITEA_PAGE_SIZE) return found ?? null;
+    }
+    return null;
+}
+
+// "org/team" names a team, anything else a user
+const splitReviewers = (reviewers) => ({
+    users: reviewers.filter((r) => !r.includes('/')),
+    teams: reviewers.filter((r) => r.includes('/')).map((r) => r.split('/').pop()),
+});
+
+const ADAPTERS = {
+    github: {
+        tokens: ['GITHUB_TOKEN', 'GH_TOKEN'],
+        defaultApiUrl: (origin) => (origin === 'https://github.com' ? 'https://api.github.com' : `${origin}/api/v3`),
+        cliArgs(req) {
+            const args = ['pr', 'create', '--base', req.base, '--head', req.head, '--title', req.title, '--body-file', req.bodyFile];
+            if (req.draft) args.push('--draft');
+            for (const label of req.labels) args.push('--label', label);
+            for (const reviewer of req.reviewers) args.push('--reviewer', reviewer);
+            for (const assignee of req.assignees) args.push('--assignee', assignee);
+            if (req.milestone) args.push('--milestone', req.milestone);
+            return args;
+        },
+        async cliRelease(rel, runFn) {
+            try {
+                const { url } = JSON.parse(await runFn('gh', ['release', 'view', rel.tag, '--json', 'url']));
+                return { url, created: false };
+            } catch {
+                // gh fails when the tag has no release yet
+            }
+            const stdout = await runFn('gh', ['release', 'create', rel.tag, '--verify-tag', '--title', rel.name, '--notes', rel.notes]);
+            return { url: parseCliOutput(stdout).url, created: true };
+        },
+        async apiRelease(rel, { apiUrl, repo, token, fetchFn }) {
+            const headers = { Authorization: `Bearer ${token}`, Accept: 'application/vnd.github+json', 'Content-Type': 'application/json' };
+            const repoUrl = `${apiUrl}/repos/${repo}`;
+            const existing = await findJson(fetchFn, `${repoUrl}/releases/tags/${encodeURIComponent(rel.tag)}`, { headers }, 'GitHub');
+            if (existing) return { url: existing.html_url, created: false };
+            const created = await sendJson(fetchFn, `${repoUrl}/releases`, post({ tag_name: rel.tag, name: rel.name, body: rel.notes }, headers), 'GitHub');
+            return { url: created.html_url, created: true };
+        },
+        async cliFind(req, runFn) {
+            const args = ['pr', 'list', '--head', req.head, '--base', req.base, '--state', 'open', '--json', 'number,url,isDraft'];
+            const [pr] = JSON.parse(await runFn('gh', args));
+            return pr ? { url: pr.url, number: pr.number, state: 'open', draft: Boolean(pr.isDraft) } : null;
+        },
+        async apiFind(req, { apiUrl, repo, token, fetchFn }) {
+            const headers = { Authorization: `Bearer ${token}`, Accept: 'application/vnd.github+json' };
+            const head = encodeURIComponent(`${repo.split('/')[0]}:${req.head}`);
+            const url = `${apiUrl}/repos/${repo}/pulls?state=open&head=${head}&base=${encodeURIComponent(req.base)}`;
+            const [pr] = (await sendJson(fetchFn, url, { headers }, 'GitHub')) || [];
+            return pr ? { url: pr.html_url, number: pr.number, state: 'open', draft: Boolean(pr.draft) } : null;
+        },
+        async cliUpdate(req, runFn) {
+            let pr;
+            try {
+                pr = JSON.parse(await runFn('gh', ['pr', 'view', req.head, '--json', 'number,url,state,isDraft']));
+            } catch {
+                return null; // gh fails when the branch has no PR
+            }
+            if (pr.state !== 'OPEN') return null;
+            await runFn('gh', ['pr', 'edit', String(pr.number), ...(req.title ? ['--title', req.title] : []), '--body-file', req.bodyFile]);
+            return { url: pr.url, number: pr.number, state: 'open', draft: Boolean(pr.isDraft), warnings: [] };
+        },
+        async apiUpdate(req, { apiUrl, repo, token, fetchFn }) {
+            const headers = { Authorization: `Bearer ${token}`, Accept: 'application/vnd.github+json', 'Content-Type': 'application/json' };
+            const repoUrl = `${apiUrl}/repos/${repo}`;
+            const owner = repo.split('/')[0];
+            const [open] = (await sendJson(fetchFn, `${repoUrl}/pulls?state=open&head=${encodeURIComponent(`${owner}:${req.head}`)}`, { headers }, 'GitHub')) || [];
+            if (!open) return null;
+            const pr = await sendJson(fetchFn, `${repoUrl}/pulls/${open.number}`, send('PATCH', { title: req.title, body: req.body }, headers), 'GitHub');
+            return { url: pr.html_url, number: pr.number, state: normalizeState(pr.state), draft: Boolean(pr.draft), warnings: [] };
+        },
+        async api(req, { apiUrl, repo, token, fetchFn }) {
+            const headers = { Authorization: `Bearer ${token}`, Accept: 'application/vnd.github+json', 'Content-Type': 'application/json' };
+            const repoUrl = `${apiUrl}/repos/${repo}`;
+            const warnings = [];
+            const pr = await sendJson(
+                fetchFn,
+                `${repoUrl}/pulls`,
+                post({ title: req.title, head: req.head, base: req.base, body: req.body, draft: req.draft }, headers),
+                'GitHub',
+            );
+            // Labels and assignees live on the PR's issue
+            if (req.labels.length > 0) {
+                await sendJson(fetchFn, `${repoUrl}/issues/${pr.number}/labels`, post({ labels: req.labels }, headers), 'GitHub');
+            }
+            if (req.assignees.length > 0) {
+                await sendJson(fetchFn, `${repoUrl}/issues/${pr.number}/assignees`, post({ assignees: req.assignees }, headers), 'GitHub');
+            }
+            if (req.reviewers.length > 0) {
+                const { users, teams } = splitReviewers(req.reviewers);
+                await sendJson(
+                    fetchFn,
+                    `${repoUrl}/pulls/${pr.number}/requested_reviewers`,
+                    post({ reviewers: users, team_reviewers: teams }, headers),
+                    'GitHub',
+                );
+            }
+            if (req.milestone) {
+                // Milestones are set by number
+                const milestones = (await sendJson(fetchFn, `${repoUrl}/milestones?state=open&per_page=100`, { headers }, 'GitHub')) || [];
+                const milestone = milestones.find((m) => m.title === req.milestone);
+                if (milestone) {
+                    await sendJson(
+                        fetchFn,
+                        `${repoUrl}/issues/${pr.number}`,
+                        { method: 'PATCH', headers, body: JSON.stringify({ milestone: milestone.number }) },
+                        'GitHub',
+                    );
+                } else {
+                    warnings.push(`unknown GitHub milestone "${req.milestone}"`);
+                }
+            }
+            return { url: pr.html_url, number: pr.number, state: normalizeState(pr.state), draft: Boolean(pr.draft ?? req.draft), warnings };
+        },
+    },
+
+    gitlab: {
+        tokens: ['GITLAB_TOKEN'],
+        defaultApiUrl: (origin) => `${origin}/api/v4`,
+        cliArgs(req) {
+            // A description too long for the command line is filled in by cliCreated
+            const description = fitsCliArg(req.body) ? req.body : 'The changelog follows.';
+            const args = ['mr', 'create', '--source-branch', req.head, '--target-branch', req.base, '--title', req.title, '--description', description, '--yes'];
+            if (req.draft) args.push('--draft');
+            if (req.labels.length > 0) args.push('--label', req.labels.join(','));
+            if (req.reviewers.length > 0) args.push('--reviewer', req.reviewers.join(','));
+            if (req.assignees.length > 0) args.push('--assignee', req.assignees.join(','));
+            if (req.milestone) args.push('--milestone', req.milestone);
+            return args;
+        },
+        async cliCreated(mr, req, runFn) {
+            if (!fitsCliArg(req.body)) await setGlabDescription(mr.number, req.bodyFile, runFn);
+        },
+        async cliRelease(rel, runFn) {
+            try {
+                const release = JSON.parse(await runFn('glab', ['release', 'view', rel.tag, '--output', 'json']));
+                return { url: release._links?.self ?? null, created: false };
+            } catch {
+                // glab fails when the tag has no release yet
+            }
+            const stdout = await runFn('glab', ['release', 'create', rel.tag, '--name', rel.name, '--notes', rel.notes]);
+            return { url: parseCliOutput(stdout).url, created: true };
+        },
+        async apiRelease(rel, { apiUrl, repo, token, fetchFn }) {
+            const headers = { 'PRIVATE-TOKEN': token, 'Content-Type': 'application/json' };
+            const projectUrl = `${apiUrl}/projects/${encodeURIComponent(repo)}`;
+            const existing = await findJson(fetchFn, `${projectUrl}/releases/${encodeURIComponent(rel.tag)}`, { headers }, 'GitLab');
+            if (existing) return { url: existing._links?.self ?? null, created: false };
+            const created = await sendJson(fetchFn, `${projectUrl}/releases`, post({ tag_name: rel.tag, name: rel.name, description: rel.notes }, headers), 'GitLab');
+            return { url: created._links?.self ?? null, created: true };
+        },
+        async cliFind(req, runFn) {
+            const args = ['mr', 'list', '--source-branch', req.head, '--target-branch', req.base, '--output', 'json'];
+            const [mr] = JSON.parse(await runFn('glab', args));
+            return mr ? { url: mr.web_url, number: mr.iid, state: 'open', draft: Boolean(mr.draft) } : null;
+        },
+        async apiFind(req, { apiUrl, repo, token, fetchFn }) {
+            const headers = { 'PRIVATE-TOKEN': token };
+            const query = `state=opened&source_branch=${encodeURIComponent(req.head)}&target_branch=${encodeURIComponent(req.base)}`;
+            const [mr] = (await sendJson(fetchFn, `${apiUrl}/projects/${encodeURIComponent(repo)}/merge_requests?${query}`, { headers }, 'GitLab')) || [];
+            return mr ? { url: mr.web_url, number: mr.iid, state: 'open', draft: Boolean(mr.draft) } : null;
+        },
+        async cliUpdate(req, runFn) {
+            let mr;
+            try {
+                mr = JSON.parse(await runFn('glab', ['mr', 'view', req.head, '--output', 'json']));
+            } catch {
+                return null; // glab fails when the branch has no MR
+            }
+            if (normalizeState(mr.state) !== 'open') return null;
+            if (fitsCliArg(req.body)) {
+                await runFn('glab', ['mr', 'update', String(mr.iid), ...(req.title ? ['--title', req.title] : []), '--description', req.body, '--yes']);
+            } else {
+                if (req.title) await runFn('glab', ['mr', 'update', String(mr.iid), '--title', req.title, '--yes']);
+                await setGlabDescription(mr.iid, req.bodyFile, runFn);
+            }
+            return { url: mr.web_url, number: mr.iid, state: 'open', draft: Boolean(mr.draft), warnings: [] };
+        },
+        async apiUpdate(req, { apiUrl, repo, token, fetchFn }) {
+            const headers = { 'PRIVATE-TOKEN': token, 'Content-Type': 'application/json' };
+            const projectUrl = `${apiUrl}/projects/${encodeURIComponent(repo)}`;
+            const [open] =
+                (await sendJson(fetchFn, `${projectUrl}/merge_requests?state=opened&source_branch=${encodeURIComponent(req.head)}`, { headers }, 'GitLab')) || [];
+            if (!open) return null;
+            const mr = await sendJson(fetchFn, `${projectUrl}/merge_requests/${open.iid}`, send('PUT', { title: req.title, description: req.body }, headers), 'GitLab');
+            return { url: mr.web_url, number: mr.iid, state: normalizeState(mr.state), draft: Boolean(mr.draft), warnings: [] };
+        },
+        async api(req, { apiUrl, repo, token, fetchFn }) {
+            const headers = { 'PRIVATE-TOKEN': token, 'Content-Type': 'application/json' };
+            const warnings = [];
+            // Merge requests take user IDs, not usernames
+            const userIds = async (names) => {
+                const ids = [];
+                for (const name of names) {
+                    const users = await sendJson(fetchFn, `${apiUrl}/users?username=${encodeURIComponent(name)}`, { headers }, 'GitLab');
+                    if (users?.[0]) ids.push(users[0].id);
+                    else warnings.push(`unknown GitLab user "${name}"`);
+                }
+                return ids;
+            };
+            let milestoneId;
+            if (req.milestone) {
+                const milestones = await sendJson(
+                    fetchFn,
+                    `${apiUrl}/projects/${encodeURIComponent(repo)}/milestones?title=${encodeURIComponent(req.milestone)}`,
+                    { headers },
+                    'GitLab',
+                );
+                milestoneId = milestones?.[0]?.id;
+                if (!milestoneId) warnings.push(`unknown GitLab milestone "${req.milestone}"`);
+            }
+            const mr = await sendJson(
+                fetchFn,
+                `${apiUrl}/projects/${encodeURIComponent(repo)}/merge_requests`,
+                post(
+                    {
+                        source_branch: req.head,
+                        target_branch: req.base,
+                        title: req.draft ? `Draft: ${req.title}` : req.title,
+                        description: req.body,
+                        labels: req.labels.join(','),
+                        reviewer_ids: await userIds(req.reviewers),
+                        assignee_ids: await userIds(req.assignees),
+                        milestone_id: milestoneId,
+                    },
+                    headers,
+                ),
+                'GitLab',
+            );
+            return { url: mr.web_url, number: mr.iid, state: normalizeState(mr.state), draft: Boolean(mr.draft ?? req.draft), warnings };
+        },
+    },
+
+    bitbucket: {
+        tokens: ['BITBUCKET_TOKEN'],
+        defaultApiUrl: () => 'https://api.bitbucket.org/2.0',
+        // Repository access tokens are bearer tokens; app passwords need the account name
+        authorization(env) {
+            if (env.BITBUCKET_TOKEN) return `Bearer ${env.BITBUCKET_TOKEN}`;
+            if (env.BITBUCKET_USERNAME && env.BITBUCKET_APP_PASSWORD) {
+                return `Basic ${Buffer.from(`${env.BITBUCKET_USERNAME}:${env.BITBUCKET_APP_PASSWORD}`).toString('base64')}`;
+            }
+            return null;
+        },
+        async apiFind(req, { apiUrl, repo, token, fetchFn }) {
+            const headers = { Authorization: token };
+            const query = encodeURIComponent(`source.branch.name="${req.head}" AND destination.branch.name="${req.base}" AND state="OPEN"`);
+            const pr = (await sendJson(fetchFn, `${apiUrl}/repositories/${repo}/pullrequests?q=${query}`, { headers }, 'Bitbucket'))?.values?.[0];
+            return pr ? { url: pr.links?.html?.href ?? null, number: pr.id, state: 'open', draft: Boolean(pr.draft) } : null;
+        },
+        async apiUpdate(req, { apiUrl, repo, token, fetchFn }) {
+            const headers = { Authorization: token, 'Content-Type': 'application/json' };
+            const query = encodeURIComponent(`source.branch.name="${req.head}" AND state="OPEN"`);
+            const found = await sendJson(fetchFn, `${apiUrl}/repositories/${repo}/pullrequests?q=${query}`, { headers }, 'Bitbucket');
+            const open = found?.values?.[0];
+            if (!open) return null;
+            // Bitbucket's update replaces the title too, so send the current one back unless it changes
+            const pr = await sendJson(
+                fetchFn,
+                `${apiUrl}/repositories/${repo}/pullrequests/${open.id}`,
+                send('PUT', { title: req.title ?? open.title, description: req.body }, headers),
+                'Bitbucket',
+            );
+            return { url: pr.links?.html?.href ?? null, number: pr.id, state: normalizeState(pr.state), draft: Boolean(pr.draft), warnings: [] };
+        },
+        async api(req, { apiUrl, repo, token, fetchFn }) {
+            const headers = { Authorization: token, 'Content-Type': 'application/json' };
+            const warnings = [];
+            if (req.labels.length > 0) warnings.push('Bitbucket pull requests have no labels');
+            if (req.assignees.length > 0) warnings.push('Bitbucket pull requests have no assignees');
+            if (req.milestone) warnings.push('Bitbucket pull requests have no milestones');
+            const pr = await sendJson(
+                fetchFn,
+                `${apiUrl}/repositories/${repo}/pullrequests`,
+                post(
+                    {
+                        title: req.title,
+                        description: req.body,
+                        source: { branch: { name: req.head } },
+                        destination: { branch: { name: req.base } },
+                        draft: req.draft,
+                        // Reviewers are account IDs, or UUIDs in braces
+                        reviewers: req.reviewers.map((r) => (r.startsWith('{') ? { uuid: r } : { account_id: r })),
+                    },
+                    headers,
+                ),
+                'Bitbucket',
+            );
+            return { url: pr.links?.html?.href ?? null, number: pr.id, state: normalizeState(pr.state), draft: Boolean(pr.draft ?? req.draft), warnings };
+        },
+    },
+
+    gitea: {
+        tokens: ['GITEA_TOKEN'],
+        defaultApiUrl: (origin) => `${origin}/api/v1`,
+        async apiRelease(rel, { apiUrl, repo, token, fetchFn }) {
+            const headers = { Authorization: `token ${token}`, 'Content-Type': 'application/json' };
+            const repoUrl = `${apiUrl}/repos/${repo}`;
+            const existing = await findJson(fetchFn, `${repoUrl}/releases/tags/${encodeURIComponent(rel.tag)}`, { headers }, 'Gitea');
+            if (existing) return { url: existing.html_url, created: false };
+            const created = await sendJson(fetchFn, `${repoUrl}/releases`, post({ tag_name: rel.tag, name: rel.name, body: rel.notes }, headers), 'Gitea');
+            return { url: created.html_url, created: true };
+        },
+        async apiFind(req, { apiUrl, repo, token, fetchFn }) {
+            const headers = { Authorization: `token ${token}` };
+            const pr = await findGiteaPull(fetchFn, `${apiUrl}/repos/${repo}`, headers, (p) => p.head?.ref === req.head && p.base?.ref === req.base);
+            return pr ? { url: pr.html_url, number: pr.number, state: 'open', draft: Boolean(pr.draft) } : null;
+        },
+        async apiUpdate(req, { apiUrl, repo, token, fetchFn }) {
+            const headers = { Authorization: `token ${token}`, 'Content-Type': 'application/json' };
+            const repoUrl = `${apiUrl}/repos/${repo}`;
+            const open = await findGiteaPull(fetchFn, repoUrl, headers, (p) => p.head?.ref === req.head);
+            if (!open) return null;
+            const pr = await sendJson(fetchFn, `${repoUrl}/pulls/${open.number}`, send('PATCH', { title: req.title, body: req.body }, headers), 'Gitea');
+            return { url: pr.html_url, number: pr.number, state: normalizeState(pr.state), draft: Boolean(pr.draft), warnings: [] };
+        },
+        async api(req, { apiUrl, repo, token, fetchFn }) {
+            const headers = { Authorization: `token ${token}`, 'Content-Type': 'application/json' };
+            const repoUrl = `${apiUrl}/repos/${repo}`;
+            const warnings = [];
+            // Pull requests take label IDs, not names
+            let labelIds = [];
+            if (req.labels.length > 0) {
+                const known = (await sendJson(fetchFn, `${repoUrl}/labels?limit=100`, { headers }, 'Gitea')) || [];
+                labelIds = req.labels.flatMap((name) => {
+                    const label = known.find((l) => l.name === name);
+                    if (!label) warnings.push(`unknown Gitea label "${name}"`);
+                    return label ? [label.id] : [];
+                });
+            }
+            let milestoneId;
+            if (req.milestone) {
+                const milestones = (await sendJson(fetchFn, `${repoUrl}/milestones?name=${encodeURIComponent(req.milestone)}`, { headers }, 'Gitea')) || [];
+                milestoneId = milestones.find((m) => m.title === req.milestone)?.id;
+                if (!milestoneId) warnings.push(`unknown Gitea milestone "${req.milestone}"`);
+            }
+            const pr = await sendJson(
+                fetchFn,
+                `${repoUrl}/pulls`,
+                post(
+                    {
+                        base: req.base,
+                        head: req.head,
+                        title: req.draft ? `WIP: ${req.title}` : req.title,
+                        body: req.body,
+                        labels: labelIds,
+                        assignees: req.assignees,
+                        milestone: milestoneId,
+                    },
+                    headers,
+                ),
+                'Gitea',
+            );
+            if (req.reviewers.length > 0) {
+                const { users, teams } = splitReviewers(req.reviewers);
+                await sendJson(
+                    fetchFn,
+                    `${repoUrl}/pulls/${pr.number}/requested_reviewers`,
+                    post({ reviewers: users, team_reviewers: teams }, headers),
+                    'Gitea',
+                );
+            }
+            return { url: pr.html_url, number: pr.number, state: normalizeState(pr.state), draft: req.draft, warnings };
+        },
+    },
+};
+
+/**
+ * Pick the provider that opens the release PR. Config is the `pr` section of .cherrypickrc.json:
+ * `{ provider?, via?: 'cli'|'api', apiUrl?, repo? }`. The provider defaults to `forgeType`, then
+ * to the forge of the origin remote, then to GitHub. GitHub and GitLab go through their CLI
+ * (`gh`, `glab`) unless `via` is `api`; Bitbucket and Gitea always use the REST API.
+ *
+ * @param {object} [config]
+ * @param {{ remoteUrl?: string, forgeType?: string|null, env?: object, fetchFn?: Function,
+ *   runFn?: (bin: string, args: string[]) => Promise<string>, hasCommand?: (bin: string) => Promise<boolean> }} [options]
+ *   `runFn` runs a CLI and resolves with its stdout; `hasCommand` tells whether it is installed.
+ * @returns {{ name: string, via: string, check(): Promise<{ message: string, hint: string }|null>,
+ *   createPullRequest(request: object): Promise<{ url: string|null, number: number|null, state: string, draft: boolean, warnings: string[] }>,
+ *   findPullRequest(request: { head: string, base: string }): Promise<object|null>,
+ *   updatePullRequest(request: { head: string, title?: string, body: string, bodyFile: string }): Promise<object|null>,
+ *   publishRelease?(release: { tag: string, name: string, notes: string }): Promise<{ url: string|null, created: boolean }> }}
+ *   `state` is "open", "closed" or "merged"; a PR opened through a CLI is reported open, as its output holds only the URL.
+ *   `findPullRequest` resolves with the open PR from `head` into `base` (`{ url, number, state, draft }`), or null.
+ *   `updatePullRequest` replaces the description (and the title, when given) of the open PR from `head` and resolves like `createPullRequest`,
+ *   or with null when there is none. `publishRelease` creates the release object for an already pushed tag,
+ *   or finds the one that exists (`created: false`); Bitbucket has no releases, so its provider lacks it.
+ */
+export function createPrProvider(config = {}, { remoteUrl = '', forgeType = null, env = process.env, fetchFn = globalThis.fetch, runFn, hasCommand } = {}) {
+    const remote = parseRemoteUrl(remoteUrl);
+    const name = config.provider || (PR_PROVIDERS.includes(forgeType) ? forgeType : null) || detectForgeType(remote?.host) || 'github';
+    const adapter = ADAPTERS[name];
+    if (!adapter) {
+        throw new Error(`Unknown PR provider "${name}". Expected one of: ${PR_PROVIDERS.join(', ')}`);
+    }
+    const tool = CLI_TOOLS[name];
+    const via = config.via || (tool ? 'cli' : 'api');
+    if (via !== 'cli' && via !== 'api') {
+        throw new Error(`pr.via must be "cli" or "api", got "${via}"`);
+    }
+    if (via === 'cli' && !tool) {
+        throw new Error(`The ${name} provider has no CLI; use pr.via "api".`);
+    }
+
+    if (via === 'cli') {
+        return {
+            name,
+            via,
+            async check() {
+                if (await hasCommand(tool.bin)) return null;
+                return {
+                    message: `${tool.label} is not installed or not in PATH.`,
+                    hint: `Install it from: ${tool.install} — or set "pr": { "via": "api" } in .cherrypickrc.json.`,
+                };
+            },
+            async createPullRequest(request) {
+                const req = withDefaults(request);
+                const created = parseCliOutput(await runFn(tool.bin, adapter.cliArgs(req)));
+                await adapter.cliCreated?.(created, req, runFn);
+                return { ...created, state: 'open', draft: req.draft, warnings: [] };
+            },
+            findPullRequest(request) {
+                return adapter.cliFind(request, runFn);
+            },
+            updatePullRequest(request) {
+                return adapter.cliUpdate(request, runFn);
+            },
+            publishRelease(release) {
+                return adapter.cliRelease(release, runFn);
+            },
+        };
+    }
+
+    const repoUrl = remote ? new URL(remote.baseUrl) : null;
+    const repo = (config.repo || repoUrl?.pathname || '').replace(/^\/+|\/+$/g, '');
+    const apiUrl = (config.apiUrl || (repoUrl ? adapter.defaultApiUrl(repoUrl.origin) : '')).replace(/\/+$/, '');
+    const token = adapter.authorization ? adapter.authorization(env) : adapter.tokens.map((t) => env[t]).find(Boolean);
+    return {
+        name,
+        via,
+        async check() {
+            if (!repo || !apiUrl) {
+                return {
+                    message: `Cannot tell the ${name} repository from the origin remote.`,
+                    hint: 'Set "pr": { "repo": "owner/name", "apiUrl": "…" } in .cherrypickrc.json.',
+                };
+            }
+            if (!token) {
+                const needs = name === 'bitbucket' ? 'BITBUCKET_TOKEN (or BITBUCKET_USERNAME and BITBUCKET_APP_PASSWORD)' : adapter.tokens.join(' or ');
+                return { message: `The ${name} API needs ${needs} in the environment.`, hint: 'Export a token that may create pull requests.' };
+            }
+            return null;
+        },
+        createPullRequest(request) {
+            return adapter.api(withDefaults(request), { apiUrl, repo, token, fetchFn });
+        },
+        findPullRequest(request) {
+            return adapter.apiFind(request, { apiUrl, repo, token, fetchFn });
+        },
+        updatePullRequest(request) {
+            return adapter.apiUpdate(request, { apiUrl, repo, token, fetchFn });
+        },
+        ...(adapter.apiRelease && { publishRelease: (release) => adapter.apiRelease(release, { apiUrl, repo, token, fetchFn }) }),
+    };
+}
+
+function withDefaults(request) {
+    return { draft: false, labels: [], reviewers: [], assignees: [], milestone: null, ...request };
+}
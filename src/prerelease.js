@@ -0,0 +1,53 @@
+import semver from 'semver';
+
+const IDENTIFIER_RE = /^[0-9A-Za-z-]+$/;
+
+function parse(version) {
+    const parsed = semver.parse(String(version || '').trim());
+    if (!parsed) {
+        throw new Error(`Invalid version "${version}". Expected a semantic version such as 1.2.3 or 1.3.0-rc.1`);
+    }
+    return parsed;
+}
+
+const stable = (v) => `${v.major}.${v.minor}.${v.patch}`;
+
+/**
+ * The final version a release line is heading for. A prerelease already points at an
+ * unreleased version, so `1.9.0-rc.2` + minor stays `1.9.0`; a breaking change still moves it to `2.0.0`.
+ * Returns null when a stable version gets no bump.
+ */
+function releaseTarget(current, bump) {
+    if (bump) return semver.inc(current, bump);
+    return current.prerelease.length > 0 ? stable(current) : null;
+}
+
+/**
+ * Next prerelease for `id`, e.g. `1.8.0` + minor + rc → `1.9.0-rc.1`.
+ * The counter continues after the highest `<target>-<id>.N` among `current` and `existing`
+ * (versions taken from release branches and tags), so a second run yields `-rc.2`.
+ * Returns `current` unchanged when there is nothing to release.
+ */
+export function nextPrereleaseVersion(current, bump, id, existing = []) {
+    if (!IDENTIFIER_RE.test(id || '')) {
+        throw new Error(`Invalid --prerelease identifier "${id}". Use letters, digits or "-" (e.g. rc, beta).`);
+    }
+    const cur = parse(current);
+    const target = releaseTarget(cur, bump);
+    if (!target) return cur.version;
+
+    const counters = [cur.version, ...existing]
+        .map((v) => semver.parse(v))
+        .filter((v) => v && stable(v) === target && v.prerelease[0] === id && Number.isInteger(v.prerelease[1]))
+        .map((v) => v.prerelease[1]);
+    return `${target}-${id}.${Math.max(0, ...counters) + 1}`;
+}
+
+/** Turn a prerelease into its final version: `1.9.0-rc.2` → `1.9.0` (or higher if `bump` requires it). */
+export function promoteVersion(current, bump) {
+    const cur = parse(current);
+    if (cur.prerelease.length === 0) {
+        throw new Error(`--promote needs a prerelease current version; ${cur.version} is already final.`);
+    }
+    return releaseTarget(cur, bump);
+}
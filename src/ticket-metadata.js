@@ -0,0 +1,286 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+export const METADATA_SOURCES = ['jira', 'linear', 'clickup', 'file'];
+
+const DEFAULT_CACHE_HOURS = 24;
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+function requireEnv(env, name, source) {
+    if (!env[name]) {
+        throw new Error(`Ticket metadata source "${source}" needs ${name} in the environment.`);
+    }
+    return env[name];
+}
+
+function originOf(url) {
+    try {
+        return new URL(url).origin;
+    } catch {
+        return '';
+    }
+}
+
+/** `fetchFn` giving up after `timeoutMs`, so a tracker that never answers fails like one that errors. */
+function withTimeout(fetchFn, timeoutMs) {
+    return async (url, init = {}) => {
+        try {
+            return await fetchFn(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+        } catch (e) {
+            if (e.name === 'TimeoutError') throw new Error(`${originOf(url)} did not answer within ${timeoutMs / 1000}s`);
+            throw e;
+        }
+    };
+}
+
+/** GET/POST JSON; a 404 means the ticket does not exist and resolves to null. */
+async function requestJson(fetchFn, url, init, source) {
+    const res = await fetchFn(url, init);
+    if (res.status === 404) return null;
+    if (!res.ok) {
+        throw new Error(`${source} API responded ${res.status} ${res.statusText || ''}`.trim());
+    }
+    return res.json();
+}
+
+/** Like requestJson, but any non-2xx answer (404 included) is an error; for writes. */
+async function sendJson(fetchFn, url, init, source) {
+    const res = await fetchFn(url, init);
+    if (!res.ok) {
+        throw new Error(`${source} API responded ${res.status} ${res.statusText || ''}`.trim());
+    }
+    return res.status === 204 ? null : res.json().catch(() => null);
+}
+
+const sameName = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+const meta = (title, status, type) => ({ title: title ?? null, status: status ?? null, type: type ?? null });
+
+const ADAPTERS = {
+    jira(config, { env, fetchFn, trackerUrl }) {
+        const baseUrl = (config.baseUrl || originOf(trackerUrl)).replace(/\/+$/, '');
+        if (!baseUrl) throw new Error('Ticket metadata source "jira" needs a "baseUrl".');
+        const token = requireEnv(env, 'JIRA_API_TOKEN', 'jira');
+        // Jira Cloud uses email + API token; Server/Data Center personal access tokens are bearer tokens
+        const authorization = env.JIRA_EMAIL
+            ? `Basic ${Buffer.from(`${env.JIRA_EMAIL}:${token}`).toString('base64')}`
+            : `Bearer ${token}`;
+        const headers = { Authorization: authorization, Accept: 'application/json', 'Content-Type': 'application/json' };
+        const issueUrl = (id) => `${baseUrl}/rest/api/2/issue/${encodeURIComponent(id)}`;
+        return {
+            key: `jira@${baseUrl}`,
+            async comment(id, text) {
+                await sendJson(fetchFn, `${issueUrl(id)}/comment`, { method: 'POST', headers, body: JSON.stringify({ body: text }) }, 'Jira');
+            },
+            async transition(id, status) {
+                // Jira moves issues through workflow transitions; pick the one leading to `status`
+                const { transitions = [] } = await sendJson(fetchFn, `${issueUrl(id)}/transitions`, { headers }, 'Jira');
+                const match = transitions.find((t) => sameName(t.to?.name ?? t.name, status));
+                if (!match) throw new Error(`no transition to "${status}"`);
+                await sendJson(
+                    fetchFn,
+                    `${issueUrl(id)}/transitions`,
+                    { method: 'POST', headers, body: JSON.stringify({ transition: { id: match.id } }) },
+                    'Jira',
+                );
+            },
+            async lookup(ids) {
+                const found = new Map();
+                for (const id of ids) {
+                    const issue = await requestJson(fetchFn, `${issueUrl(id)}?fields=summary,status,issuetype`, { headers }, 'Jira');
+                    found.set(id, issue ? meta(issue.fields?.summary, issue.fields?.status?.name, issue.fields?.issuetype?.name) : null);
+                }
+                return found;
+            },
+        };
+    },
+
+    linear(config, { env, fetchFn }) {
+        const apiUrl = config.apiUrl || 'https://api.linear.app/graphql';
+        const token = requireEnv(env, 'LINEAR_API_KEY', 'linear');
+        const graphql = async (query, variables = {}) => {
+            const body = await sendJson(
+                fetchFn,
+                apiUrl,
+                {
+                    method: 'POST',
+                    headers: { Authorization: token, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ query, variables }),
+                },
+                'Linear',
+            );
+            if (body?.errors?.length) throw new Error(`Linear API error: ${body.errors[0].message}`);
+            return body.data;
+        };
+        return {
+            key: `linear@${apiUrl}`,
+            async comment(id, text) {
+                await graphql('mutation ($id: String!, $body: String!) { commentCreate(input: { issueId: $id, body: $body }) { success } }', {
+                    id,
+                    body: text,
+                });
+            },
+            async transition(id, status) {
+                // Workflow states belong to the issue's team
+                const data = await graphql('query ($id: String!) { issue(id: $id) { team { states { nodes { id name } } } } }', { id });
+                const state = data.issue?.team?.states?.nodes?.find((s) => sameName(s.name, status));
+                if (!state) throw new Error(`no workflow state "${status}"`);
+                await graphql('mutation ($id: String!, $stateId: String!) { issueUpdate(id: $id, input: { stateId: $stateId }) { success } }', {
+                    id,
+                    stateId: state.id,
+                });
+            },
+            async lookup(ids) {
+                // One request, one aliased field per identifier; unknown identifiers come back null
+                const fields = ids.map((id, i) => `t${i}: issue(id: ${JSON.stringify(id)}) { title state { name } }`);
+                const body = await requestJson(
+                    fetchFn,
+                    apiUrl,
+                    {
+                        method: 'POST',
+                        headers: { Authorization: token, 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ query: `query { ${fields.join(' ')} }` }),
+                    },
+                    'Linear',
+                );
+                if (!body?.data) {
+                    throw new Error(`Linear API error: ${body?.errors?.[0]?.message || 'no data returned'}`);
+                }
+                const found = new Map();
+                ids.forEach((id, i) => {
+                    const issue = body.data[`t${i}`];
+                    found.set(id, issue ? meta(issue.title, issue.state?.name, null) : null);
+                });
+                return found;
+            },
+        };
+    },
+
+    clickup(config, { env, fetchFn }) {
+        const apiUrl = (config.apiUrl || 'https://api.clickup.com/api/v2').replace(/\/+$/, '');
+        const token = requireEnv(env, 'CLICKUP_API_TOKEN', 'clickup');
+        const headers = { Authorization: token, Accept: 'application/json', 'Content-Type': 'application/json' };
+        const taskUrl = (id) => `${apiUrl}/task/${encodeURIComponent(id)}`;
+        return {
+            key: `clickup@${apiUrl}`,
+            async comment(id, text) {
+                await sendJson(fetchFn, `${taskUrl(id)}/comment`, { method: 'POST', headers, body: JSON.stringify({ comment_text: text, notify_all: false }) }, 'ClickUp');
+            },
+            async transition(id, status) {
+                await sendJson(fetchFn, taskUrl(id), { method: 'PUT', headers, body: JSON.stringify({ status }) }, 'ClickUp');
+            },
+            async lookup(ids) {
+                const found = new Map();
+                for (const id of ids) {
+                    const task = await requestJson(fetchFn, taskUrl(id), { headers }, 'ClickUp');
+                    found.set(id, task ? meta(task.name, task.status?.status, null) : null);
+                }
+                return found;
+            },
+        };
+    },
+
+    file(config) {
+        if (!config.path) throw new Error('Ticket metadata source "file" needs a "path".');
+        return {
+            key: `file:${config.path}`,
+            cacheable: false,
+            async lookup(ids) {
+                let data;
+                try {
+                    data = JSON.parse(await readFile(config.path, 'utf8'));
+                } catch (e) {
+                    throw new Error(`Cannot read ticket file ${config.path}: ${e.message}`);
+                }
+                const found = new Map();
+                for (const id of ids) {
+                    const entry = data[id];
+                    if (entry == null) found.set(id, null);
+                    else if (typeof entry === 'string') found.set(id, meta(entry));
+                    else found.set(id, meta(entry.title, entry.status, entry.type));
+                }
+                return found;
+            },
+        };
+    },
+};
+
+/**
+ * Create a metadata source from a tracker's `metadata` config: a source name, or an object
+ * `{ source, baseUrl?, apiUrl?, path?, cacheHours? }`. Tokens come from the environment.
+ * API sources can also `comment(id, text)` on and `transition(id, status)` tickets; `file` cannot.
+ *
+ * @param {string|object} config
+ * @param {{ env?: object, fetchFn?: Function, trackerUrl?: string, timeoutMs?: number }} [options] - `trackerUrl` lets Jira
+ *   default its `baseUrl`; each request is abandoned after `timeoutMs` (15s)
+ * @returns {{ key: string, cacheable?: boolean, cacheHours: number, lookup(ids: string[]): Promise<Map<string, object|null>>, comment?: Function, transition?: Function }}
+ */
+export function createMetadataSource(
+    config,
+    { env = process.env, fetchFn = globalThis.fetch, trackerUrl = '', timeoutMs = DEFAULT_TIMEOUT_MS } = {},
+) {
+    const options = typeof config === 'string' ? { source: config } : config || {};
+    const adapter = ADAPTERS[options.source];
+    if (!adapter) {
+        throw new Error(`Unknown ticket metadata source "${options.source}". Expected one of: ${METADATA_SOURCES.join(', ')}`);
+    }
+    return { cacheHours: options.cacheHours ?? DEFAULT_CACHE_HOURS, ...adapter(options, { env, fetchFn: withTimeout(fetchFn, timeoutMs), trackerUrl }) };
+}
+
+async function readCache(cachePath) {
+    try {
+        return JSON.parse(await readFile(cachePath, 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Resolve ticket IDs through a source, serving fresh entries from the JSON cache at `cachePath`
+ * (unknown tickets are cached too). When the source fails, stale cache entries are used and
+ * the error is returned rather than thrown, so release notes still render offline. Failing to
+ * write the cache is reported as `cacheError` and the fetched metadata is still returned.
+ *
+ * @returns {Promise<{ metadata: Map<string, object|null>, error: Error|null, cacheError?: Error }>}
+ */
+export async function lookupTicketMetadata(source, ids, { cachePath = null, now = Date.now() } = {}) {
+    const useCache = Boolean(cachePath) && source.cacheable !== false;
+    const cache = useCache ? await readCache(cachePath) : {};
+    const entries = cache[source.key] || {};
+    const maxAge = source.cacheHours * 60 * 60 * 1000;
+
+    const metadata = new Map();
+    const stale = [];
+    for (const id of new Set(ids)) {
+        const hit = entries[id];
+        if (hit && now - hit.fetchedAt < maxAge) metadata.set(id, hit.data);
+        else stale.push(id);
+    }
+    if (stale.length === 0) return { metadata, error: null };
+
+    let fetched;
+    try {
+        fetched = await source.lookup(stale);
+    } catch (error) {
+        for (const id of stale) {
+            if (entries[id]) metadata.set(id, entries[id].data);
+        }
+        return { metadata, error };
+    }
+
+    for (const [id, data] of fetched) {
+        metadata.set(id, data);
+        entries[id] = { data, fetchedAt: now };
+    }
+    if (useCache) {
+        cache[source.key] = entries;
+        try {
+            await mkdir(dirname(cachePath), { recursive: true });
+            await writeFile(cachePath, `${JSON.stringify(cache, null, 2)}\n`);
+        } catch (cacheError) {
+            return { metadata, error: null, cacheError };
+        }
+    }
+    return { metadata, error: null };
+}
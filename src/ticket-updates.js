@@ -0,0 +1,65 @@
+import { renderTemplate } from './changelog.js';
+
+export const DEFAULT_RELEASE_COMMENT = 'Included in release {{version}}{{#if prUrl}} — {{prUrl}}{{/if}}';
+
+/**
+ * Plan the post-release updates: one entry per ticket whose tracker has a `release` config
+ * (`{ comment?: string|false, status?: string }`). `comment` is a template with `{{version}}`,
+ * `{{prUrl}}`, `{{id}}` and `{{title}}`; `false` posts no comment.
+ *
+ * @param {Array<{ tracker: string, id: string, title?: string }>} tickets
+ * @param {Array<{ name: string, release?: object|null }>} trackers
+ * @param {{ version: string, prUrl?: string|null }} context
+ * @returns {Array<{ tracker: string, id: string, comment: string|null, status: string|null }>}
+ */
+export function planTicketUpdates(tickets, trackers, context) {
+    const byName = new Map(trackers.filter((t) => t.release).map((t) => [t.name, t.release]));
+    const seen = new Set();
+    const plan = [];
+    for (const ticket of tickets) {
+        const release = byName.get(ticket.tracker);
+        const key = `${ticket.tracker}:${ticket.id}`;
+        if (!release || seen.has(key)) continue;
+        seen.add(key);
+
+        const template = release.comment === false ? null : release.comment || DEFAULT_RELEASE_COMMENT;
+        const comment = template
+            ? renderTemplate(template, { ...context, prUrl: context.prUrl || '', id: ticket.id, title: ticket.title || '' })
+            : null;
+        plan.push({ tracker: ticket.tracker, id: ticket.id, comment, status: release.status || null });
+    }
+    return plan.filter((u) => u.comment || u.status);
+}
+
+/**
+ * Apply planned updates through each tracker's source (from createMetadataSource).
+ * Never throws: every ticket reports its own outcome so one failure does not stop the rest.
+ *
+ * @param {Array<{ tracker: string, id: string, comment: string|null, status: string|null }>} plan
+ * @param {(trackerName: string) => object} sourceFor - returns the source, or throws if it cannot be created
+ * @returns {Promise<Array<{ tracker: string, id: string, commented: boolean, moved: boolean, error: string|null }>>}
+ */
+export async function applyTicketUpdates(plan, sourceFor) {
+    const results = [];
+    for (const update of plan) {
+        const result = { tracker: update.tracker, id: update.id, commented: false, moved: false, error: null };
+        try {
+            const source = sourceFor(update.tracker);
+            if (!source.comment || !source.transition) {
+                throw new Error('this source cannot update tickets');
+            }
+            if (update.comment) {
+                await source.comment(update.id, update.comment);
+                result.commented = true;
+            }
+            if (update.status) {
+                await source.transition(update.id, update.status);
+                result.moved = true;
+            }
+        } catch (e) {
+            result.error = e.message;
+        }
+        results.push(result);
+    }
+    return results;
+}
@@ -0,0 +1,126 @@
+import isSafeRegex from 'safe-regex2';
+
+export const TRACKER_PRESETS = {
+    clickup: '#([a-z0-9]+)',
+    jira: '([A-Z]+-\\d+)',
+    linear: '\\[([A-Z]+-\\d+)\\]',
+};
+
+function defaultTrackerName(preset, url) {
+    if (preset) return preset;
+    try {
+        return new URL(url).hostname;
+    } catch {
+        return 'custom';
+    }
+}
+
+/**
+ * Validate one tracker. Takes the flag/rc key names: `tracker` (preset), `ticket-pattern`,
+ * `tracker-url`, an optional `name` used in the summary log, and the optional `metadata`
+ * source config (see ticket-metadata.js) and post-release `release` config (see
+ * ticket-updates.js), both passed through as is.
+ * Returns { name, pattern, url, metadata, release } or null when nothing is configured.
+ */
+export function createTracker(options = {}) {
+    const preset = options.tracker;
+    const url = options['tracker-url'];
+    let pattern = options['ticket-pattern'];
+
+    if (!pattern && !url && !preset) return null;
+
+    if (preset && !pattern) {
+        pattern = TRACKER_PRESETS[preset];
+        if (!pattern) {
+            throw new Error(`Unknown tracker preset "${preset}". Available: ${Object.keys(TRACKER_PRESETS).join(', ')}`);
+        }
+    }
+
+    if (pattern && !url) {
+        throw new Error('--ticket-pattern requires --tracker-url to be set.');
+    }
+    if (url && !pattern) {
+        throw new Error('--tracker-url requires --ticket-pattern or --tracker to be set.');
+    }
+
+    let compiled;
+    try {
+        compiled = new RegExp(pattern, 'g');
+    } catch (e) {
+        throw new Error(`Invalid --ticket-pattern regex "${pattern}": ${e.message}`);
+    }
+
+    if (!isSafeRegex(compiled)) {
+        throw new Error(`Pattern rejected — potential catastrophic backtracking: "${pattern}"`);
+    }
+
+    // Validate capture group
+    const groups = new RegExp(`${pattern}|`).exec('').length - 1;
+    if (groups < 1) {
+        throw new Error('Pattern must have one capture group for the ticket ID.');
+    }
+
+    return {
+        name: options.name || defaultTrackerName(preset, url),
+        pattern: compiled,
+        url,
+        metadata: options.metadata || null,
+        release: options.release || null,
+    };
+}
+
+/** Validate a list of trackers (the array form of the rc `tracker` section). Errors name the failing entry. */
+export function createTrackers(list) {
+    return list.map((options, i) => {
+        try {
+            const tracker = createTracker(options);
+            if (!tracker) throw new Error('needs "tracker" or "ticket-pattern" and "tracker-url".');
+            return tracker;
+        } catch (e) {
+            throw new Error(`tracker[${i}]${options?.name ? ` (${options.name})` : ''}: ${e.message}`);
+        }
+    });
+}
+
+/** Key for a ticket in the metadata map passed to linkifyTickets. */
+export function ticketKey(trackerName, id) {
+    return `${trackerName}:${id}`;
+}
+
+/**
+ * Link every ticket ID of every tracker in a commit subject. When matches overlap, the one
+ * starting first wins, then the tracker listed first. With `metadata` (ticketKey → { title,
+ * status, type }), known titles are added to the link text: `[PROJ-123: Fix login redirect](…)`.
+ * `skip(text)` drops matches that are linked elsewhere, e.g. `#585` PR numbers when forge links exist.
+ *
+ * @returns {{ subject: string, tickets: { tracker: string, id: string, url: string, title?: string }[] }}
+ *   `tickets` holds each tracker/ID pair once, in subject order, with its metadata if known.
+ */
+export function linkifyTickets(subject, trackers, metadata = null, { skip = null } = {}) {
+    if (!trackers || trackers.length === 0) return { subject, tickets: [] };
+
+    const matches = [];
+    trackers.forEach((tracker, order) => {
+        for (const m of subject.matchAll(tracker.pattern)) {
+            if (!m[0] || !m[1] || skip?.(m[0])) continue;
+            matches.push({ start: m.index, end: m.index + m[0].length, text: m[0], id: m[1], tracker, order });
+        }
+    });
+    matches.sort((a, b) => a.start - b.start || a.order - b.order);
+
+    let out = '';
+    let last = 0;
+    const tickets = [];
+    for (const m of matches) {
+        if (m.start < last) continue;
+        const url = m.tracker.url.replaceAll('{{id}}', m.id);
+        const info = metadata?.get(ticketKey(m.tracker.name, m.id));
+        const text = info?.title ? `${m.text}: ${info.title.replace(/[[\]]/g, '\\$&')}` : m.text;
+        out += `${subject.slice(last, m.start)}[${text}](${url})`;
+        last = m.end;
+        if (!tickets.some((t) => t.tracker === m.tracker.name && t.id === m.id)) {
+            tickets.push({ tracker: m.tracker.name, id: m.id, url, ...info });
+        }
+    }
+    return { subject: out + subject.slice(last), tickets };
+}
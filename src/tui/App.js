@@ -1,12 +1,13 @@
 import { useState, useEffect, useCallback } from 'react';
 import { Text, Box, useInput, useApp } from 'ink';
+import { applyCommitFilters, parseFilterExpression } from '../filters.js';
 import { html } from './html.js';
 import { Header } from './Header.js';
 import { CommitList } from './CommitList.js';
 import { Preview } from './Preview.js';
 import { KeyBar } from './KeyBar.js';
 
-export function App({ commits, gitRawFn, devBranch, mainBranch, since, onDone }) {
+export function App({ commits, gitRawFn, devBranch, mainBranch, range, filters: initialFilters = [], loadFiles, onDone }) {
     const { exit } = useApp();
     const [cursorIndex, setCursorIndex] = useState(0);
     const [selected, setSelected] = useState(new Set());
@@ -18,10 +19,16 @@ export function App({ commits, gitRawFn, devBranch, mainBranch, since, onDone })
     const [showDiff, setShowDiff] = useState(false);
     const [diffText, setDiffText] = useState('');
     const [confirmQuit, setConfirmQuit] = useState(false);
+    const [expanded, setExpanded] = useState(new Map());
+    const [filters, setFilters] = useState(initialFilters);
+    const [isAddingFilter, setIsAddingFilter] = useState(false);
+    const [filterInput, setFilterInput] = useState('');
+    const [filterError, setFilterError] = useState('');
 
+    const visible = applyCommitFilters(commits, filters);
     const filtered = filterText
-        ? commits.filter((c) => c.subject.toLowerCase().includes(filterText.toLowerCase()))
-        : commits;
+        ? visible.filter((c) => c.subject.toLowerCase().includes(filterText.toLowerCase()))
+        : visible;
 
     const currentCommit = filtered[cursorIndex];
 
@@ -72,6 +79,37 @@ export function App({ commits, gitRawFn, devBranch, mainBranch, since, onDone })
             return;
         }
 
+        // Add-filter mode
+        if (isAddingFilter) {
+            if (key.escape) {
+                setIsAddingFilter(false);
+                setFilterError('');
+            } else if (key.return) {
+                let filter;
+                try {
+                    filter = parseFilterExpression(filterInput);
+                } catch (e) {
+                    setFilterError(e.message);
+                    return;
+                }
+                // Path filters match changed files, which are only read once the first one is added
+                const ready = filter.type === 'path' && loadFiles ? loadFiles() : Promise.resolve();
+                ready.then(() => {
+                    setFilters((prev) => [...prev, filter]);
+                    setIsAddingFilter(false);
+                    setFilterError('');
+                    setCursorIndex(0);
+                }).catch((e) => {
+                    setFilterError(`Cannot read the changed files: ${e.message}`);
+                });
+            } else if (key.backspace || key.delete) {
+                setFilterInput((s) => s.slice(0, -1));
+            } else if (input && !key.ctrl && !key.meta) {
+                setFilterInput((s) => s + input);
+            }
+            return;
+        }
+
         // Navigation
         if (key.upArrow || input === 'k') {
             setCursorIndex((i) => Math.max(0, i - 1));
@@ -123,6 +161,45 @@ export function App({ commits, gitRawFn, devBranch, mainBranch, since, onDone })
             }
         }
 
+        // Expand / collapse a merge commit's child commits
+        else if (input === 'e') {
+            if (currentCommit?.isMerge) {
+                const { hash } = currentCommit;
+                if (expanded.has(hash)) {
+                    setExpanded((prev) => {
+                        const next = new Map(prev);
+                        next.delete(hash);
+                        return next;
+                    });
+                } else {
+                    setExpanded((prev) => new Map(prev).set(hash, null));
+                    gitRawFn(['log', '--no-merges', '--pretty=%H|||%s', `${hash}^1..${hash}`]).then((text) => {
+                        const children = text.trim().split('\n').filter(Boolean).map((line) => {
+                            const [childHash, ...rest] = line.split('|||');
+                            return { hash: childHash, subject: rest.join('|||') };
+                        });
+                        setExpanded((prev) => (prev.has(hash) ? new Map(prev).set(hash, children) : prev));
+                    }).catch(() => {
+                        setExpanded((prev) => (prev.has(hash) ? new Map(prev).set(hash, []) : prev));
+                    });
+                }
+            }
+        }
+
+        // Add an author/path filter
+        else if (input === 'f') {
+            setIsAddingFilter(true);
+            setFilterInput('');
+            setFilterError('');
+        }
+
+        // Toggle filter #1-9 on/off
+        else if (/^[1-9]$/.test(input) && filters[Number(input) - 1]) {
+            const idx = Number(input) - 1;
+            setFilters((prev) => prev.map((f, i) => (i === idx ? { ...f, enabled: !f.enabled } : f)));
+            setCursorIndex(0);
+        }
+
         // Toggle preview
         else if (input === 'p') {
             setShowPreview((v) => !v);
@@ -174,8 +251,24 @@ export function App({ commits, gitRawFn, devBranch, mainBranch, since, onDone })
                 devBranch=${devBranch}
                 mainBranch=${mainBranch}
                 commitCount=${filtered.length}
-                since=${since}
+                range=${range}
             />
+            ${filters.length > 0
+                ? html`<${Box} paddingX=${1}>
+                    <${Text} color="gray">Filters: </${Text}>
+                    ${filters.map(
+                        (f, i) => html`<${Text} key=${i} color=${f.enabled ? 'magenta' : 'dim'}>[${i + 1}] ${f.enabled ? '✓' : '✗'} ${f.label}  </${Text}>`,
+                    )}
+                </${Box}>`
+                : null
+            }
+            ${isAddingFilter
+                ? html`<${Box} paddingX=${1} flexDirection="column">
+                    <${Text} color="yellow">Add filter (author:<regex>, path:<glob>, prefix "-" to exclude): ${filterInput}_</${Text}>
+                    ${filterError ? html`<${Text} color="red">${filterError}</${Text}>` : null}
+                </${Box}>`
+                : null
+            }
             ${isSearching
                 ? html`<${Box} paddingX=${1}><${Text} color="yellow">Search: ${searchInput}_</${Text}></${Box}>`
                 : filterText
@@ -186,15 +279,19 @@ export function App({ commits, gitRawFn, devBranch, mainBranch, since, onDone })
                 commits=${filtered}
                 selected=${selected}
                 cursorIndex=${cursorIndex}
+                expanded=${expanded}
             />
             <${KeyBar}
-                isSearching=${isSearching}
+                isSearching=${isSearching || isAddingFilter}
                 selectedCount=${selected.size}
+                hasMerges=${commits.some((c) => c.isMerge)}
+                hasFilters=${filters.length > 0}
             />
             ${showPreview ? html`
                 <${Preview}
                     previewText=${previewText}
                     hash=${currentCommit?.hash}
+                    tickets=${currentCommit?.tickets}
                 />
             ` : null}
         </${Box}>
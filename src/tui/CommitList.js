@@ -2,7 +2,25 @@ import { Box, Text } from 'ink';
 import { html } from './html.js';
 import { CommitRow } from './CommitRow.js';
 
-export function CommitList({ commits, selected, cursorIndex }) {
+function MergeChildren({ children }) {
+    if (!children) {
+        return html`<${Box} paddingLeft=${6}><${Text} color="dim">Loading merged commits...</${Text}></${Box}>`;
+    }
+    if (children.length === 0) {
+        return html`<${Box} paddingLeft=${6}><${Text} color="dim">(no commits brought in by this merge)</${Text}></${Box}>`;
+    }
+    return html`
+        <${Box} flexDirection="column" paddingLeft=${6}>
+            ${children.map(
+                (child) => html`
+                    <${Text} key=${child.hash} color="dim">↳ ${child.hash.slice(0, 7)}  ${child.subject}</${Text}>
+                `,
+            )}
+        </${Box}>
+    `;
+}
+
+export function CommitList({ commits, selected, cursorIndex, expanded }) {
     const maxVisible = Math.max(5, (process.stdout.rows || 24) - 12);
     const start = Math.max(0, cursorIndex - Math.floor(maxVisible / 2));
     const visible = commits.slice(start, start + maxVisible);
@@ -11,14 +29,18 @@ export function CommitList({ commits, selected, cursorIndex }) {
         <${Box} flexDirection="column">
             ${visible.map(
                 (c, i) => html`
-                    <${CommitRow}
-                        key=${c.hash}
-                        hash=${c.hash}
-                        subject=${c.subject}
-                        date=${c.date || ''}
-                        isSelected=${selected.has(c.hash)}
-                        isCursor=${start + i === cursorIndex}
-                    />
+                    <${Box} key=${c.hash} flexDirection="column">
+                        <${CommitRow}
+                            hash=${c.hash}
+                            subject=${c.subject}
+                            date=${c.date || ''}
+                            isMerge=${c.isMerge}
+                            missingTicket=${c.missingTicket}
+                            isSelected=${selected.has(c.hash)}
+                            isCursor=${start + i === cursorIndex}
+                        />
+                        ${expanded?.has(c.hash) ? html`<${MergeChildren} children=${expanded.get(c.hash)} />` : null}
+                    </${Box}>
                 `,
             )}
             ${commits.length > maxVisible
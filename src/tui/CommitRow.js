@@ -1,7 +1,7 @@
 import { Text, Box } from 'ink';
 import { html } from './html.js';
 
-export function CommitRow({ hash, subject, date, isSelected, isCursor }) {
+export function CommitRow({ hash, subject, date, isMerge, missingTicket, isSelected, isCursor }) {
     const checkbox = isSelected ? '☑' : '☐';
     const checkColor = isSelected ? 'green' : 'gray';
     const cursor = isCursor ? '>' : ' ';
@@ -24,6 +24,8 @@ export function CommitRow({ hash, subject, date, isSelected, isCursor }) {
             <${Text} color=${isCursor ? 'cyan' : undefined}>${cursor} </${Text}>
             <${Text} color=${checkColor}>${checkbox} </${Text}>
             <${Text} color=${hashColor}>${hash.slice(0, 7)}  </${Text}>
+            ${isMerge ? html`<${Text} color="magenta">[merge] </${Text}>` : null}
+            ${missingTicket ? html`<${Text} color="yellow">[no ticket] </${Text}>` : null}
             <${Text} color=${subjectColor}>${subject}</${Text}>
             <${Text} color=${dateColor}>${date ? `  (${date})` : ''}</${Text}>
         </${Box}>
@@ -5,7 +5,7 @@ function Key({ k, label }) {
     return html`<${Text}><${Text} color="cyan" bold>[${k}]</${Text}><${Text} color="gray"> ${label}  </${Text}></${Text}>`;
 }
 
-export function KeyBar({ isSearching, selectedCount }) {
+export function KeyBar({ isSearching, selectedCount, hasMerges, hasFilters }) {
     if (isSearching) {
         return html`
             <${Box} paddingX=${1}>
@@ -23,6 +23,9 @@ export function KeyBar({ isSearching, selectedCount }) {
             <${Key} k="/" label="search" />
             <${Key} k="d" label="diff" />
             <${Key} k="p" label="preview" />
+            <${Key} k="f" label="add filter" />
+            ${hasFilters ? html`<${Key} k="1-9" label="toggle filter" />` : null}
+            ${hasMerges ? html`<${Key} k="e" label="expand merge" />` : null}
             <${Text}><${Text} color="green" bold>[enter]</${Text}><${Text} color="gray"> confirm (${selectedCount})  </${Text}></${Text}>
             <${Text}><${Text} color="red" bold>[q]</${Text}><${Text} color="gray"> quit</${Text}></${Text}>
         </${Box}>
@@ -1,7 +1,18 @@
 import { Text, Box } from 'ink';
 import { html } from './html.js';
 
-export function Preview({ previewText, hash }) {
+function TicketLine({ ticket }) {
+    const details = [ticket.status, ticket.type].filter(Boolean).join(' · ');
+    return html`
+        <${Text}>
+            <${Text} color="yellow">${ticket.id}</${Text}>
+            <${Text}>${ticket.title ? `: ${ticket.title}` : ''}</${Text}>
+            <${Text} color="dim">${details ? `  (${details})` : ''}</${Text}>
+        </${Text}>
+    `;
+}
+
+export function Preview({ previewText, hash, tickets = [] }) {
     if (!hash) {
         return html`<${Box} paddingX=${1}><${Text} color="dim">No commit highlighted</${Text}></${Box}>`;
     }
@@ -9,6 +20,7 @@ export function Preview({ previewText, hash }) {
     return html`
         <${Box} flexDirection="column" paddingX=${1}>
             <${Text} color="cyan">── Preview (${hash.slice(0, 7)}) ──</${Text}>
+            ${tickets.map((t) => html`<${TicketLine} key=${`${t.tracker}:${t.id}`} ticket=${t} />`)}
             <${Text} color="gray">${previewText || 'Loading...'}</${Text}>
         </${Box}>
     `;
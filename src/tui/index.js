@@ -35,10 +35,11 @@ async function restoreStdin() {
  * Render the TUI commit selector.
  * @param {Array<{hash: string, subject: string}>} commits
  * @param {Function} gitRawFn
- * @param {{ devBranch: string, mainBranch: string, since: string }} options
+ * @param {{ devBranch: string, mainBranch: string, range: string, filters?: Array, loadFiles?: () => Promise<void> }} options
+ *   `loadFiles` fills in each commit's `files` before a path filter is added.
  * @returns {Promise<string[]>} selected commit hashes
  */
-export function renderCommitSelector(commits, gitRawFn, { devBranch, mainBranch, since }) {
+export function renderCommitSelector(commits, gitRawFn, { devBranch, mainBranch, range, filters = [], loadFiles }) {
     return new Promise((resolve) => {
         let resolved = false;
         const settle = (val) => {
@@ -54,7 +55,9 @@ export function renderCommitSelector(commits, gitRawFn, { devBranch, mainBranch,
                 gitRawFn,
                 devBranch,
                 mainBranch,
-                since,
+                range,
+                filters,
+                loadFiles,
                 onDone: (selectedHashes) => {
                     settle(selectedHashes);
                 },
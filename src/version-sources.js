@@ -0,0 +1,161 @@
+import { basename } from 'node:path';
+
+/** `--version-file git-tag` reads the version from the newest `v*` tag instead of a file. */
+export const GIT_TAG_SOURCE = 'git-tag';
+
+/** Newest `v*` tag reachable from `ref`, or '' when there is none. */
+export async function getLatestReleaseTag(ref, gitRawFn) {
+    return gitRawFn(['describe', '--tags', '--abbrev=0', '--match', 'v*', ref]).catch(() => '');
+}
+
+/**
+ * Locate the string value of a top-level `key` in JSON text without re-serialising it.
+ * Returns { start, end } offsets of the value between its quotes, or null.
+ */
+function findTopLevelJsonString(text, key) {
+    const stringEnd = (from) => {
+        let j = from + 1;
+        while (j < text.length && text[j] !== '"') {
+            if (text[j] === '\\') j++;
+            j++;
+        }
+        return j;
+    };
+
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '"') {
+            const end = stringEnd(i);
+            if (depth === 1 && text.slice(i + 1, end) === key) {
+                const value = /^\s*:\s*"/.exec(text.slice(end + 1));
+                if (value) {
+                    const start = end + 1 + value[0].length;
+                    return { start, end: stringEnd(start - 1) };
+                }
+            }
+            i = end;
+        } else if (ch === '{' || ch === '[') {
+            depth++;
+        } else if (ch === '}' || ch === ']') {
+            depth--;
+        }
+    }
+    return null;
+}
+
+const TOML_HEADER_RE = /^\s*\[\[?\s*([^\]]+?)\s*\]\]?\s*(?:#.*)?$/;
+const TOML_VERSION_RE = /^(\s*version\s*=\s*)(["'])([^"']*)\2/;
+
+/** Find `version = "..."` in the first of `sections` that has one. Returns { line, match } or null. */
+function findTomlVersion(lines, sections) {
+    const found = new Map();
+    let section = '';
+    lines.forEach((line, i) => {
+        const header = TOML_HEADER_RE.exec(line);
+        if (header) {
+            section = header[1];
+            return;
+        }
+        const match = TOML_VERSION_RE.exec(line);
+        if (match && sections.includes(section) && !found.has(section)) {
+            found.set(section, { line: i, match });
+        }
+    });
+    for (const s of sections) {
+        if (found.has(s)) return found.get(s);
+    }
+    return null;
+}
+
+function tomlSource(name, sections) {
+    return {
+        name,
+        matches: (file) => basename(file).toLowerCase() === name.toLowerCase(),
+        read(text) {
+            return findTomlVersion(text.split('\n'), sections)?.match[3] || null;
+        },
+        write(text, version) {
+            const lines = text.split('\n');
+            const hit = findTomlVersion(lines, sections);
+            if (!hit) {
+                throw new Error(`No version found in [${sections.join('] or [')}] of ${name}`);
+            }
+            const [whole, prefix, quote] = hit.match;
+            lines[hit.line] = `${prefix}${quote}${version}${quote}${lines[hit.line].slice(whole.length)}`;
+            return lines.join('\n');
+        },
+    };
+}
+
+const GRADLE_VERSION_RE = /^(\s*version\s*[=:]\s*)(\S(?:.*\S)?)/m;
+
+/**
+ * Built-in version file adapters. `read(text)` returns the version or null;
+ * `write(text, version)` returns the updated text, touching nothing but the version.
+ * Adapters with `create(version)` can start a missing file from scratch.
+ */
+export const VERSION_SOURCES = [
+    {
+        name: 'package.json',
+        matches: (file) => file.toLowerCase().endsWith('.json'),
+        read(text) {
+            const version = JSON.parse(text).version;
+            return typeof version === 'string' ? version : null;
+        },
+        write(text, version) {
+            const hit = findTopLevelJsonString(text, 'version');
+            if (hit) {
+                return `${text.slice(0, hit.start)}${version}${text.slice(hit.end)}`;
+            }
+            const open = text.indexOf('{');
+            if (open === -1 || /^\s*\{\s*\}\s*$/.test(text)) {
+                return this.create(version);
+            }
+            const indent = /^\{[ \t]*\r?\n([ \t]+)"/.exec(text.slice(open))?.[1];
+            const field = indent ? `\n${indent}"version": "${version}",` : `"version": "${version}", `;
+            return `${text.slice(0, open + 1)}${field}${text.slice(open + 1)}`;
+        },
+        create: (version) => `${JSON.stringify({ version }, null, 2)}\n`,
+    },
+    tomlSource('pyproject.toml', ['project', 'tool.poetry']),
+    tomlSource('Cargo.toml', ['package', 'workspace.package']),
+    {
+        name: 'gradle.properties',
+        matches: (file) => basename(file) === 'gradle.properties',
+        read(text) {
+            return GRADLE_VERSION_RE.exec(text)?.[2] || null;
+        },
+        write(text, version) {
+            if (!GRADLE_VERSION_RE.test(text)) {
+                throw new Error('No version property found in gradle.properties');
+            }
+            return text.replace(GRADLE_VERSION_RE, `$1${version}`);
+        },
+    },
+    {
+        name: 'VERSION',
+        matches: (file) => ['version', 'version.txt'].includes(basename(file).toLowerCase()),
+        read(text) {
+            return text.trim().replace(/^v/, '') || null;
+        },
+        write(text, version) {
+            const current = text.trim();
+            if (!current) return `${version}\n`;
+            return text.replace(current, current.startsWith('v') ? `v${version}` : version);
+        },
+        create: (version) => `${version}\n`,
+    },
+];
+
+/** Pick the adapter for a --version-file path by its file name. */
+export function getVersionSource(file) {
+    const source = VERSION_SOURCES.find((s) => s.matches(file));
+    if (!source) {
+        throw new Error(
+            `Unsupported version file "${file}". Supported: package.json (any .json), pyproject.toml, Cargo.toml, ` +
+            `gradle.properties, VERSION, or "${GIT_TAG_SOURCE}".`,
+        );
+    }
+    return source;
+}
@@ -0,0 +1,118 @@
+import { promises as fsPromises } from 'node:fs';
+import { join } from 'node:path';
+import { globToRegExp } from './filters.js';
+
+const SKIP_DIRS = new Set(['node_modules', '.git']);
+const MAX_DEPTH = 5;
+
+/** Read workspace globs from package.json `workspaces` (array or `{ packages }`) or pnpm-workspace.yaml. */
+export async function readWorkspacePatterns(rootDir) {
+    try {
+        const pkg = JSON.parse(await fsPromises.readFile(join(rootDir, 'package.json'), 'utf8'));
+        const ws = Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces?.packages;
+        if (Array.isArray(ws) && ws.length > 0) return ws;
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+
+    try {
+        const yaml = await fsPromises.readFile(join(rootDir, 'pnpm-workspace.yaml'), 'utf8');
+        const patterns = [];
+        let inPackages = false;
+        for (const line of yaml.split(/\r?\n/)) {
+            if (/^packages\s*:/.test(line)) {
+                inPackages = true;
+            } else if (inPackages && /^\s*-\s*/.test(line)) {
+                patterns.push(line.replace(/^\s*-\s*/, '').replace(/\s+#.*$/, '').replace(/^['"]|['"]$/g, '').trim());
+            } else if (inPackages && /^\S/.test(line)) {
+                inPackages = false;
+            }
+        }
+        return patterns.filter(Boolean);
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+
+    return [];
+}
+
+async function findManifestDirs(rootDir, rel = '', depth = 0) {
+    if (depth > MAX_DEPTH) return [];
+    const entries = await fsPromises.readdir(join(rootDir, rel), { withFileTypes: true });
+    const dirs = [];
+    for (const entry of entries) {
+        if (!entry.isDirectory() || SKIP_DIRS.has(entry.name)) continue;
+        const child = rel ? `${rel}/${entry.name}` : entry.name;
+        if (await fileExists(join(rootDir, child, 'package.json'))) {
+            dirs.push(child);
+        }
+        dirs.push(...(await findManifestDirs(rootDir, child, depth + 1)));
+    }
+    return dirs;
+}
+
+async function fileExists(path) {
+    try {
+        await fsPromises.access(path);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * List workspace packages under `rootDir`.
+ * @returns {Promise<Array<{ name, dir, version, manifestPath }>>} `dir` is repo-relative, posix-style
+ */
+export async function findWorkspacePackages(rootDir) {
+    const patterns = await readWorkspacePatterns(rootDir);
+    if (patterns.length === 0) return [];
+
+    const includes = patterns.filter((p) => !p.startsWith('!')).map((p) => globToRegExp(p, { matchChildren: false }));
+    const excludes = patterns.filter((p) => p.startsWith('!')).map((p) => globToRegExp(p.slice(1), { matchChildren: false }));
+
+    const packages = [];
+    for (const dir of await findManifestDirs(rootDir)) {
+        if (!includes.some((rx) => rx.test(dir)) || excludes.some((rx) => rx.test(dir))) continue;
+        const manifestPath = join(rootDir, dir, 'package.json');
+        const manifest = JSON.parse(await fsPromises.readFile(manifestPath, 'utf8'));
+        packages.push({ name: manifest.name || dir, dir, version: manifest.version || null, manifestPath });
+    }
+    return packages.sort((a, b) => a.dir.localeCompare(b.dir));
+}
+
+/** The package owning `file`: the one with the deepest directory containing it, or null. */
+export function packageForFile(file, packages) {
+    let owner = null;
+    for (const pkg of packages) {
+        if (file.startsWith(`${pkg.dir}/`) && (!owner || pkg.dir.length > owner.dir.length)) {
+            owner = pkg;
+        }
+    }
+    return owner;
+}
+
+/**
+ * Group commits by the workspace packages whose files they touch. A commit touching
+ * several packages lands in each of them; commits outside every package are left out.
+ *
+ * @param {string[]} hashes - in the order they should appear in each group
+ * @param {Map<string, Set<string>>} fileMap - from batchGetChangedFiles
+ * @param {Array<{dir}>} packages - from findWorkspacePackages
+ * @returns {Map<string, string[]>} Map<package dir, hashes>
+ */
+export function groupCommitsByPackage(hashes, fileMap, packages) {
+    const groups = new Map();
+    for (const hash of hashes) {
+        const owners = new Set();
+        for (const file of fileMap.get(hash) || []) {
+            const pkg = packageForFile(file, packages);
+            if (pkg) owners.add(pkg.dir);
+        }
+        for (const dir of owners) {
+            if (!groups.has(dir)) groups.set(dir, []);
+            groups.get(dir).push(hash);
+        }
+    }
+    return groups;
+}
@@ -0,0 +1,78 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { classifyCommit, createBumpRules } from '../src/bump-rules.js';
+
+const exec = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, '..', 'cli.js');
+
+describe('Bump rules', () => {
+    const defaults = createBumpRules();
+
+    it('keeps the built-in feat / fix / perf / BREAKING CHANGE rules', () => {
+        assert.equal(classifyCommit('feat(ui): dark mode', defaults), 'minor');
+        assert.equal(classifyCommit('fix: offset', defaults), 'patch');
+        assert.equal(classifyCommit('perf: cache', defaults), 'patch');
+        assert.equal(classifyCommit('chore: x\n\nBREAKING CHANGE: drop node 16', defaults), 'major');
+        assert.equal(classifyCommit('refactor: tidy', defaults), null);
+    });
+
+    it('treats the bang syntax as breaking by default', () => {
+        assert.equal(classifyCommit('feat!: drop v1 api', defaults), 'major');
+        assert.equal(classifyCommit('refactor(core)!: rename exports', defaults), 'major');
+        assert.equal(classifyCommit('feat!: drop v1 api', createBumpRules({ bang: false })), 'minor');
+    });
+
+    it('merges configured types over the defaults', () => {
+        const rules = createBumpRules({ types: { refactor: 'patch', deps: 'patch', security: 'patch', perf: 'none' } });
+        assert.equal(classifyCommit('refactor: tidy', rules), 'patch');
+        assert.equal(classifyCommit('deps: bump lodash', rules), 'patch');
+        assert.equal(classifyCommit('security(auth): rotate keys', rules), 'patch');
+        assert.equal(classifyCommit('perf: cache', rules), null);
+        assert.equal(classifyCommit('feat: still minor', rules), 'minor');
+    });
+
+    it('rejects unknown bump levels', () => {
+        assert.throws(() => createBumpRules({ types: { docs: 'tiny' } }), /Invalid bump "tiny"/);
+        assert.throws(() => createBumpRules({ types: { 'a b': 'patch' } }), /Invalid commit type/);
+    });
+});
+
+describe('Bump rules (CLI)', () => {
+    let tmpDir;
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'bump-rules-test-'));
+        const git = (args) => exec('git', args, { cwd: tmpDir });
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await writeFile(join(tmpDir, 'package.json'), '{"version":"1.0.0"}\n');
+        await writeFile(join(tmpDir, '.cherrypickrc.json'), JSON.stringify({ semver: { types: { refactor: 'patch' } } }));
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['checkout', '-b', 'dev']);
+        await writeFile(join(tmpDir, 'a.txt'), 'a');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'refactor: split module']);
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('applies the semver.types mapping from .cherrypickrc.json', async () => {
+        const { stdout } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--all-yes', '--dry-run', '--push-release=false'],
+            { cwd: tmpDir, timeout: 10000 },
+        );
+        assert.ok(stdout.includes('Previous: 1.0.0 → Next: 1.0.1'), stdout);
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { extractRelease, isKeepAChangelog, prependRelease } from '../src/changelog-file.js';
+
+const exec = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, '..', 'cli.js');
+
+const notes = '## Release 1.9.0 — 2026-03-02\n\n### ✨ Features\nabc1234 feat: search\n';
+const release = { version: '1.9.0', date: '2026-03-02', notes };
+
+describe('Changelog file', () => {
+    it('--help shows --changelog-file', async () => {
+        const { stdout } = await exec('node', [CLI, '--help']);
+        assert.ok(stdout.includes('--changelog-file'), 'should show --changelog-file flag');
+    });
+
+    it('creates a new file with a title', () => {
+        assert.equal(prependRelease(null, release), `# Changelog\n\n${notes}`);
+    });
+
+    it('prepends below the title of a plain changelog', () => {
+        const existing = '# Changelog\n\n## Release 1.8.0 — 2026-01-01\n\nold\n';
+        assert.equal(
+            prependRelease(existing, release),
+            `# Changelog\n\n${notes}\n## Release 1.8.0 — 2026-01-01\n\nold\n`,
+        );
+    });
+
+    it('moves Keep a Changelog Unreleased entries under the new version', () => {
+        const existing = [
+            '# Changelog',
+            '',
+            '## [Unreleased]',
+            '',
+            '### Added',
+            '- Manual entry',
+            '',
+            '## [1.8.0] - 2026-01-01',
+            '',
+            '- Old entry',
+            '',
+            '[Unreleased]: https://github.com/acme/app/compare/v1.8.0...HEAD',
+            '[1.8.0]: https://github.com/acme/app/compare/v1.7.0...v1.8.0',
+            '',
+        ].join('\n');
+        assert.ok(isKeepAChangelog(existing));
+
+        const updated = prependRelease(existing, release);
+        assert.equal(
+            updated,
+            [
+                '# Changelog',
+                '',
+                '## [Unreleased]',
+                '',
+                '## [1.9.0] - 2026-03-02',
+                '',
+                '### Added',
+                '- Manual entry',
+                '',
+                '### ✨ Features',
+                'abc1234 feat: search',
+                '',
+                '## [1.8.0] - 2026-01-01',
+                '',
+                '- Old entry',
+                '',
+                '[Unreleased]: https://github.com/acme/app/compare/v1.9.0...HEAD',
+                '[1.9.0]: https://github.com/acme/app/compare/v1.8.0...v1.9.0',
+                '[1.8.0]: https://github.com/acme/app/compare/v1.7.0...v1.8.0',
+                '',
+            ].join('\n'),
+        );
+    });
+
+    it('keeps trailing link references out of the Unreleased entries', () => {
+        const existing = '# Changelog\n\n## [Unreleased]\n\n- wip\n\n[Unreleased]: https://x.dev/compare/1.0.0...HEAD\n';
+        const updated = prependRelease(existing, release);
+        assert.ok(updated.includes('## [1.9.0] - 2026-03-02\n\n- wip\n\n### ✨ Features'), updated);
+        assert.ok(updated.endsWith('[Unreleased]: https://x.dev/compare/1.9.0...HEAD\n[1.9.0]: https://x.dev/compare/1.0.0...1.9.0\n'), updated);
+    });
+    it('extracts the section of one version, package sections included', () => {
+        const text = prependRelease(`# Changelog\n\n${notes}\n## app@2.1.0\n- api\n`, { ...release, version: '1.10.0', notes: '## Release 1.10.0 — 2026-04-01\n\n- next\n' });
+        assert.equal(extractRelease(text, '1.9.0'), `${notes.trim()}\n\n## app@2.1.0\n- api`);
+        assert.equal(extractRelease(text, '1.10.0'), '## Release 1.10.0 — 2026-04-01\n\n- next');
+        assert.equal(extractRelease(text, '1.9'), null);
+        assert.equal(extractRelease('## [Unreleased]\n\n## [1.9.0] - 2026-03-02\n\n- search\n\n## [1.8.0] - 2026-02-01\n', '1.9.0'), '## [1.9.0] - 2026-03-02\n\n- search');
+    });
+});
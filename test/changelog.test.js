@@ -0,0 +1,252 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import {
+    DEFAULT_CHANGELOG_SECTIONS,
+    collectContributors,
+    createChangelogConfig,
+    groupByScope,
+    groupIntoSections,
+    parseBreakingNotes,
+    parseCoAuthors,
+    renderTemplate,
+} from '../src/changelog.js';
+
+const exec = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, '..', 'cli.js');
+
+const entry = (subject, level, type) => ({ subject, level, type });
+const titles = (sections) => sections.map((s) => [s.title, s.commits.map((c) => c.subject)]);
+
+describe('Changelog sections', () => {
+    it('defaults group by bump level and use 💥 for breaking changes', () => {
+        const { sections } = createChangelogConfig();
+        const grouped = groupIntoSections(
+            [entry('feat!: drop v1', 'major', 'feat'), entry('feat: a', 'minor', 'feat'), entry('docs: b', null, 'docs')],
+            sections,
+        );
+        assert.deepEqual(titles(grouped), [
+            ['💥 Breaking Changes', ['feat!: drop v1']],
+            ['✨ Features', ['feat: a']],
+            ['🧹 Others', ['docs: b']],
+        ]);
+        assert.equal(DEFAULT_CHANGELOG_SECTIONS[0].title.startsWith('💥'), true);
+    });
+
+    it('custom sections match by type first, then bump, then the catch-all', () => {
+        const { sections } = createChangelogConfig({
+            sections: [
+                { title: 'Docs', types: ['docs'] },
+                { title: 'Fixes', bump: 'patch' },
+                { title: 'Performance', types: ['perf'] },
+                { title: 'Breaking', bump: 'major' },
+            ],
+        });
+        const grouped = groupIntoSections(
+            [
+                entry('perf: cache', 'patch', 'perf'),
+                entry('fix: x', 'patch', 'fix'),
+                entry('docs: y', null, 'docs'),
+                entry('perf!: drop cache', 'major', 'perf'),
+                entry('chore: z', null, 'chore'),
+            ],
+            sections,
+        );
+        assert.deepEqual(titles(grouped), [
+            ['Docs', ['docs: y']],
+            ['Fixes', ['fix: x']],
+            ['Performance', ['perf: cache']],
+            ['Breaking', ['perf!: drop cache']],
+        ], 'without a catch-all, unclaimed commits are left out');
+    });
+
+    it('rejects malformed section config', () => {
+        assert.throws(() => createChangelogConfig({ sections: [{ types: ['docs'] }] }), /needs a "title"/);
+        assert.throws(() => createChangelogConfig({ sections: [{ title: 'X' }] }), /needs "types" or "bump"/);
+        assert.throws(() => createChangelogConfig({ sections: [{ title: 'X', bump: 'huge' }] }), /bump must be one of/);
+    });
+
+    it('groupByScope orders configured labels, then other scopes, then General', () => {
+        const commits = [
+            { subject: 'feat: a', scope: null },
+            { subject: 'feat(web): b', scope: 'web' },
+            { subject: 'feat(api): c', scope: 'api' },
+            { subject: 'feat(db): d', scope: 'db' },
+            { subject: 'feat(graphql): e', scope: 'graphql' },
+        ];
+        const groups = groupByScope(commits, { graphql: 'Backend API', api: 'Backend API' });
+        assert.deepEqual(
+            groups.map((g) => [g.label, g.commits.map((c) => c.subject)]),
+            [
+                ['Backend API', ['feat(api): c', 'feat(graphql): e']],
+                ['db', ['feat(db): d']],
+                ['web', ['feat(web): b']],
+                ['General', ['feat: a']],
+            ],
+        );
+    });
+
+    it('parseBreakingNotes reads multi-line footers up to the next trailer', () => {
+        const message = [
+            'feat(api)!: drop v1',
+            '',
+            'Body text.',
+            '',
+            'BREAKING CHANGE: clients must call /v2',
+            'instead of /v1.',
+            'Refs: #12',
+            'BREAKING-CHANGE: config key renamed',
+        ].join('\n');
+        assert.deepEqual(parseBreakingNotes(message), ['clients must call /v2 instead of /v1.', 'config key renamed']);
+        assert.deepEqual(parseBreakingNotes('BREAKING CHANGE: in the subject only'), []);
+    });
+
+    it('collects co-authors and de-duplicates contributors by email', () => {
+        const coAuthors = parseCoAuthors('fix: x\n\nCo-authored-by: Grace H <grace@x.dev>\nco-authored-by: Ada L <ADA@x.dev>');
+        assert.deepEqual(coAuthors, [
+            { name: 'Grace H', email: 'grace@x.dev' },
+            { name: 'Ada L', email: 'ADA@x.dev' },
+        ]);
+        const people = collectContributors([
+            { authors: [{ name: 'Ada', email: 'ada@x.dev' }] },
+            { authors: coAuthors },
+        ]);
+        assert.deepEqual(people.map((p) => p.name), ['Ada', 'Grace H']);
+    });
+
+    it('renderTemplate supports placeholders, nested each and if/else', () => {
+        const template = '# {{version}}\n{{#each sections}}## {{title}}\n{{#each commits}}- {{subject}}\n{{/each}}{{/each}}{{#if notes}}notes{{else}}no notes{{/if}}';
+        const out = renderTemplate(template, {
+            version: '2.0.0',
+            sections: [{ title: 'A', commits: [{ subject: 'one {{version}}' }, { subject: 'two' }] }],
+            notes: [],
+        });
+        assert.equal(out, '# 2.0.0\n## A\n- one {{version}}\n- two\nno notes');
+        assert.throws(() => renderTemplate('{{#if x}}open', {}), /Unclosed/);
+    });
+});
+
+describe('Changelog sections (CLI)', () => {
+    let tmpDir;
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'changelog-test-'));
+        const git = (args) => exec('git', args, { cwd: tmpDir });
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await writeFile(join(tmpDir, 'package.json'), '{"version":"1.0.0"}\n');
+        await writeFile(
+            join(tmpDir, '.cherrypickrc.json'),
+            JSON.stringify({
+                changelog: {
+                    template: 'RELEASE_TEMPLATE.md',
+                    sections: [
+                        { title: '🚀 New', types: ['feat'] },
+                        { title: '📚 Docs', types: ['docs'] },
+                    ],
+                },
+            }),
+        );
+        await writeFile(
+            join(tmpDir, 'RELEASE_TEMPLATE.md'),
+            '# {{version}} (was {{previousVersion}})\n{{#each sections}}\n## {{title}}\n{{#each commits}}* {{subject}}\n{{/each}}{{/each}}',
+        );
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['checkout', '-b', 'dev']);
+        for (const subject of ['feat: search', 'docs: usage', 'chore: tidy']) {
+            await writeFile(join(tmpDir, `${subject.length}.txt`), subject);
+            await git(['add', '.']);
+            await git(['commit', '-m', subject]);
+        }
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('renders the configured sections through the template file', async () => {
+        const { stdout } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--all-yes', '--dry-run', '--push-release=false'],
+            { cwd: tmpDir, timeout: 10000 },
+        );
+        const preview = stdout.split('── Changelog Preview')[1].split('commits selected')[0];
+        assert.ok(preview.includes('# 1.1.0 (was 1.0.0)'), preview);
+        assert.ok(preview.includes('## 🚀 New\n* feat: search'), preview);
+        assert.ok(preview.includes('## 📚 Docs\n* docs: usage'), preview);
+        assert.ok(!preview.includes('chore: tidy'), 'commits without a section are left out');
+    });
+});
+
+describe('Changelog scope groups and credits (CLI)', () => {
+    let tmpDir;
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'changelog-scope-test-'));
+        const git = (args) => exec('git', args, { cwd: tmpDir });
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await writeFile(join(tmpDir, 'package.json'), '{"version":"1.0.0"}\n');
+        await writeFile(join(tmpDir, '.cherrypickrc.json'), JSON.stringify({ changelog: { scopes: { api: 'Backend API' } } }));
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['checkout', '-b', 'dev']);
+        for (const subject of ['feat(api): search endpoint', 'feat: onboarding', 'feat(api): pagination']) {
+            await writeFile(join(tmpDir, `${subject.length}.txt`), subject);
+            await git(['add', '.']);
+            await git(['commit', '-m', subject]);
+        }
+        await writeFile(join(tmpDir, 'breaking.txt'), 'x');
+        await git(['add', '.']);
+        await git([
+            'commit', '-m', 'feat!: new auth',
+            '-m', 'BREAKING CHANGE: tokens issued before 2.0 are rejected',
+            '-m', 'Co-authored-by: Grace H <grace@x.dev>',
+        ]);
+        await writeFile(join(tmpDir, 'routes.txt'), 'x');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'feat!: drop v1 routes']);
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('--contributors credits authors and --breaking-notes adds footers', async () => {
+        const { stdout } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--all-yes', '--dry-run', '--push-release=false', '--contributors', '--breaking-notes'],
+            { cwd: tmpDir, timeout: 10000 },
+        );
+        assert.match(stdout, /feat!: new auth — test, Grace H\n {2}> tokens issued before 2\.0 are rejected/);
+        assert.ok(stdout.includes('### 👥 Contributors\n- test\n- Grace H'), stdout);
+    });
+
+    it('--breaking-notes ends the quote before the next entry', async () => {
+        const { stdout } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--all-yes', '--dry-run', '--push-release=false', '--breaking-notes'],
+            { cwd: tmpDir, timeout: 10000 },
+        );
+        // Without the blank line, "drop v1 routes" would be a lazy continuation of the quote
+        assert.match(stdout, /feat!: new auth\n {2}> tokens issued before 2\.0 are rejected\n\n\w{7} feat!: drop v1 routes/);
+    });
+
+    it('--group-by-scope adds a labelled group per scope and General for the rest', async () => {
+        const { stdout } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--all-yes', '--dry-run', '--push-release=false', '--group-by-scope'],
+            { cwd: tmpDir, timeout: 10000 },
+        );
+        assert.match(stdout, /### ✨ Features\n\n#### Backend API\n\w{7} feat\(api\): search endpoint\n\w{7} feat\(api\): pagination\n\n#### General\n\w{7} feat: onboarding/);
+    });
+});
@@ -0,0 +1,157 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { createElement } from 'react';
+import { renderToString } from 'ink';
+import {
+    applyCommitFilters,
+    globToRegExp,
+    parseCommitFilters,
+    parseFilterExpression,
+} from '../src/filters.js';
+import { App } from '../src/tui/App.js';
+
+const exec = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, '..', 'cli.js');
+
+const commits = [
+    { hash: 'a'.repeat(40), subject: 'feat: api', author: 'Alice', email: 'alice@team.dev', files: ['packages/api/src/x.js'] },
+    { hash: 'b'.repeat(40), subject: 'chore: deps', author: 'renovate[bot]', email: 'bot@renovate.com', files: ['package.json'] },
+    { hash: 'c'.repeat(40), subject: 'docs: readme', author: 'Bob', email: 'bob@team.dev', files: ['docs/readme.md'] },
+    { hash: 'd'.repeat(40), subject: 'feat: web', author: 'Bob', email: 'bob@team.dev', files: ['packages/web/a.js', 'docs/web.md'] },
+];
+const subjects = (list) => list.map((c) => c.subject);
+
+describe('Commit filters', () => {
+    it('--help shows author and path filters', async () => {
+        const { stdout } = await exec('node', [CLI, '--help']);
+        for (const flag of ['--author', '--exclude-author', '--path', '--exclude-path']) {
+            assert.ok(stdout.includes(flag), `should show ${flag}`);
+        }
+    });
+
+    it('globToRegExp handles *, ** and plain directories', () => {
+        assert.ok(globToRegExp('packages/api/**').test('packages/api/src/x.js'));
+        assert.ok(!globToRegExp('packages/api/**').test('packages/web/x.js'));
+        assert.ok(globToRegExp('*.md').test('README.md'));
+        assert.ok(!globToRegExp('*.md').test('docs/readme.md'));
+        assert.ok(globToRegExp('**/*.md').test('docs/readme.md'));
+        assert.ok(globToRegExp('docs').test('docs/readme.md'), 'plain directory should match files below it');
+    });
+
+    it('--author keeps matching authors, --exclude-author drops them', () => {
+        assert.deepEqual(subjects(applyCommitFilters(commits, parseCommitFilters({ author: 'bob' }))), [
+            'docs: readme',
+            'feat: web',
+        ]);
+        assert.deepEqual(subjects(applyCommitFilters(commits, parseCommitFilters({ excludeAuthor: 'renovate' }))), [
+            'feat: api',
+            'docs: readme',
+            'feat: web',
+        ]);
+        assert.deepEqual(
+            subjects(applyCommitFilters(commits, parseCommitFilters({ author: '@team\\.dev' }))),
+            ['feat: api', 'docs: readme', 'feat: web'],
+            'should match against the email too',
+        );
+    });
+
+    it('--exclude-path only drops commits that touch nothing else', () => {
+        const kept = applyCommitFilters(commits, parseCommitFilters({ excludePath: 'docs/**' }));
+        assert.deepEqual(subjects(kept), ['feat: api', 'chore: deps', 'feat: web']);
+    });
+
+    it('--path and --exclude-path combine like git pathspecs', () => {
+        const kept = applyCommitFilters(commits, parseCommitFilters({ path: 'packages/**,docs/**', excludePath: 'docs/**' }));
+        assert.deepEqual(subjects(kept), ['feat: api', 'feat: web']);
+    });
+
+    it('disabled filters are ignored', () => {
+        const filters = parseCommitFilters({ author: 'alice' }).map((f) => ({ ...f, enabled: false }));
+        assert.equal(applyCommitFilters(commits, filters).length, commits.length);
+    });
+
+    it('parseFilterExpression parses TUI filter input', () => {
+        const f = parseFilterExpression('-path:docs/**');
+        assert.equal(f.type, 'path');
+        assert.equal(f.exclude, true);
+        assert.equal(f.label, '-path:docs/**');
+        assert.throws(() => parseFilterExpression('team:core'), /author:<regex>/);
+    });
+
+    it('rejects unsafe author patterns', () => {
+        assert.throws(() => parseCommitFilters({ author: '(a+)+$' }), /catastrophic backtracking/);
+    });
+
+    it('TUI shows active filters and hides filtered commits', () => {
+        const output = renderToString(
+            createElement(App, {
+                commits,
+                gitRawFn: async () => '',
+                devBranch: 'dev',
+                mainBranch: 'main',
+                range: 'since 1 week ago',
+                filters: parseCommitFilters({ excludeAuthor: 'renovate' }),
+                onDone: () => {},
+            }),
+            { columns: 120 },
+        );
+        assert.ok(output.includes('[1] ✓ -author:renovate'), 'should list the filter as a toggle');
+        assert.ok(!output.includes('chore: deps'), 'should hide the filtered commit');
+        assert.ok(output.includes('[f] add filter'), 'should advertise the add-filter key');
+    });
+});
+
+describe('Commit filters (CLI)', () => {
+    let tmpDir;
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'filters-test-'));
+        const git = (args, env) => exec('git', args, { cwd: tmpDir, env: { ...process.env, ...env } });
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await writeFile(join(tmpDir, 'package.json'), '{"version":"1.0.0"}\n');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['checkout', '-b', 'dev']);
+        await mkdir(join(tmpDir, 'packages', 'api'), { recursive: true });
+        await writeFile(join(tmpDir, 'packages', 'api', 'x.js'), 'x');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'feat: api change']);
+        await writeFile(join(tmpDir, 'package.json'), '{"version":"1.0.0","deps":{}}\n');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'chore: bump deps', '--author', 'renovate[bot] <bot@renovate.com>']);
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    const run = async (args) => {
+        const { stdout } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--all-yes', '--dry-run', '--push-release=false', ...args],
+            { cwd: tmpDir, timeout: 10000 },
+        );
+        return stdout.split('would cherry-pick')[1] || '';
+    };
+
+    it('--exclude-author drops bot commits', async () => {
+        const picks = await run(['--exclude-author', 'renovate']);
+        assert.ok(picks.includes('feat: api change'));
+        assert.ok(!picks.includes('chore: bump deps'));
+    });
+
+    it('--path keeps only commits touching the glob', async () => {
+        const picks = await run(['--path', 'packages/api/**']);
+        assert.ok(picks.includes('feat: api change'));
+        assert.ok(!picks.includes('chore: bump deps'));
+    });
+});
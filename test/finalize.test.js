@@ -0,0 +1,243 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { createServer } from 'node:http';
+import { promisify } from 'node:util';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { chmod, mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { createPrProvider } from '../src/pr-providers.js';
+
+const exec = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, '..', 'cli.js');
+
+const NOTES = '## Release 1.1.0 — 2026-10-01\n\n### ✨ Features\n- feat: search';
+
+describe('Release objects', () => {
+    it('gh CLI reuses an existing release, or creates one for the pushed tag', async () => {
+        const runs = [];
+        let exists = false;
+        const runFn = async (bin, args) => {
+            runs.push([bin, ...args]);
+            if (args[1] === 'view') {
+                if (!exists) throw new Error('release not found');
+                return '{"url":"https://github.com/o/r/releases/tag/v1.1.0"}';
+            }
+            return 'https://github.com/o/r/releases/tag/v1.1.0\n';
+        };
+        const gh = createPrProvider({}, { remoteUrl: 'git@github.com:o/r.git', runFn });
+        const release = { tag: 'v1.1.0', name: 'v1.1.0', notes: NOTES };
+        assert.deepEqual(await gh.publishRelease(release), { url: 'https://github.com/o/r/releases/tag/v1.1.0', created: true });
+        assert.deepEqual(runs[1], ['gh', 'release', 'create', 'v1.1.0', '--verify-tag', '--title', 'v1.1.0', '--notes', NOTES]);
+        exists = true;
+        assert.equal((await gh.publishRelease(release)).created, false);
+        assert.equal(runs.length, 3);
+        assert.equal(createPrProvider({ provider: 'bitbucket' }, { env: {} }).publishRelease, undefined);
+    });
+});
+
+describe('finalize (CLI)', () => {
+    let tmpDir;
+    let repo;
+    let server;
+    let requests;
+    let env;
+    const git = (args) => exec('git', args, { cwd: repo });
+    const finalize = (...args) =>
+        exec('node', [CLI, 'finalize', '--no-fetch', '--main', 'main', '--changelog-file', 'CHANGELOG.md', ...args], { cwd: repo, timeout: 20000, env });
+
+    before(async () => {
+        // GitHub API stand-in: no release until one is created
+        requests = [];
+        let release = null;
+        server = createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+                res.setHeader('Content-Type', 'application/json');
+                if (req.method === 'POST') {
+                    release = { html_url: 'https://github.com/acme/app/releases/tag/v1.1.0' };
+                    res.statusCode = 201;
+                }
+                res.statusCode = release ? res.statusCode : 404;
+                res.end(JSON.stringify(release ?? { message: 'Not Found' }));
+            });
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        const apiUrl = `http://127.0.0.1:${server.address().port}`;
+        env = { ...process.env, GITHUB_TOKEN: 'tok' };
+
+        tmpDir = await mkdtemp(join(tmpdir(), 'finalize-test-'));
+        repo = join(tmpDir, 'repo');
+        const origin = join(tmpDir, 'origin.git');
+        await mkdir(repo);
+        await exec('git', ['init', '--bare', '-b', 'main', origin], { cwd: tmpDir });
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await git(['remote', 'add', 'origin', origin]);
+        await writeFile(join(repo, 'package.json'), '{"version":"1.0.0"}\n');
+        await writeFile(
+            join(repo, '.cherrypickrc.json'),
+            JSON.stringify({ pr: { provider: 'github', via: 'api', apiUrl, repo: 'acme/app' } }),
+        );
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+
+        // A merged release PR: release/1.1.0 with a feature and the version bump, merged with a merge commit
+        await git(['checkout', '-b', 'release/1.1.0']);
+        await writeFile(join(repo, 'search.txt'), 'x');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'feat: search']);
+        await writeFile(join(repo, 'package.json'), '{"version":"1.1.0"}\n');
+        await writeFile(join(repo, 'CHANGELOG.md'), `# Changelog\n\n${NOTES}\n\n## Release 1.0.0 — 2026-09-01\n\n- init\n`);
+        await git(['add', '.']);
+        await git(['commit', '-m', 'chore(release): bump version to 1.1.0']);
+        await git(['checkout', 'main']);
+        await git(['merge', '--no-ff', 'release/1.1.0', '-m', 'Merge pull request #42 from acme/release/1.1.0']);
+        await git(['push', 'origin', 'main']);
+    });
+
+    after(async () => {
+        server.close();
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('tags the merge commit with the changelog section and publishes the release', async () => {
+        const { stdout } = await finalize('--publish-release', '--format', 'json');
+        const result = JSON.parse(stdout);
+        const merge = (await git(['rev-parse', 'main'])).stdout.trim();
+        assert.deepEqual(result, {
+            version: '1.1.0',
+            tag: { name: 'v1.1.0', commit: merge, created: true, pushed: true },
+            release: { url: 'https://github.com/acme/app/releases/tag/v1.1.0', created: true },
+        });
+
+        assert.equal((await git(['cat-file', '-t', 'v1.1.0'])).stdout.trim(), 'tag', 'annotated');
+        assert.equal((await git(['tag', '-l', '--format=%(contents)', 'v1.1.0'])).stdout.trim(), NOTES);
+        assert.ok((await git(['ls-remote', '--tags', 'origin'])).stdout.includes('refs/tags/v1.1.0^{}'));
+
+        const create = requests.find((r) => r.method === 'POST');
+        assert.equal(create.url, '/repos/acme/app/releases');
+        assert.deepEqual(create.body, { tag_name: 'v1.1.0', name: 'v1.1.0', body: NOTES });
+    });
+
+    it('is a no-op when the tag and release already exist', async () => {
+        const posts = requests.filter((r) => r.method === 'POST').length;
+        const { stdout } = await finalize('--publish-release');
+        assert.ok(stdout.includes('✓ Tag v1.1.0 already exists.'), stdout);
+        assert.ok(stdout.includes('✓ Tag v1.1.0 is already on origin.'), stdout);
+        assert.ok(stdout.includes('✓ Release v1.1.0 already exists: https://github.com/acme/app/releases/tag/v1.1.0'), stdout);
+        assert.equal(requests.filter((r) => r.method === 'POST').length, posts);
+    });
+
+    it('rebuilds the notes from the commits when there is no changelog file', async () => {
+        await git(['tag', '-d', 'v1.1.0']);
+        await git(['push', 'origin', ':refs/tags/v1.1.0']);
+        await exec('node', [CLI, 'finalize', '--no-fetch', '--main', 'main'], { cwd: repo, timeout: 20000, env });
+        const message = (await git(['tag', '-l', '--format=%(contents)', 'v1.1.0'])).stdout;
+        assert.match(message, /^## Release 1\.1\.0/);
+        assert.ok(message.includes('feat: search'), message);
+        assert.ok(!message.includes('bump version'), message);
+    });
+
+    it('does not read the PR template when no PR is opened', async () => {
+        await git(['tag', '-d', 'v1.1.0']);
+        await git(['push', 'origin', ':refs/tags/v1.1.0']);
+        const rc = join(repo, '.cherrypickrc.json');
+        const config = await readFile(rc, 'utf8');
+        await writeFile(rc, JSON.stringify({ pr: { ...JSON.parse(config).pr, template: 'missing.md' } }));
+        try {
+            const { stdout } = await finalize();
+            assert.ok(stdout.includes('v1.1.0'), stdout);
+        } finally {
+            await writeFile(rc, config);
+        }
+    });
+
+    it('refuses a tag that points elsewhere', async () => {
+        await git(['tag', '-f', '-a', 'v1.1.0', '-m', 'wrong', 'main^']);
+        await assert.rejects(finalize(), (e) => e.code === 1 && e.stderr.includes('Tag v1.1.0 already exists on'));
+    });
+
+    it('fails when the release was not merged', async () => {
+        await assert.rejects(finalize('1.2.0'), (e) => e.stderr.includes('No merge of release/1.2.0 or hotfix/1.2.0 found on main'));
+    });
+});
+
+describe('finalize --back-merge (CLI)', () => {
+    let tmpDir;
+    let repo;
+    let env;
+    const git = (args) => exec('git', args, { cwd: repo });
+    const finalize = () =>
+        exec('node', [CLI, 'finalize', '--no-fetch', '--main', 'main', '--dev', 'dev', '--back-merge', '--back-merge-from', 'main', '--format', 'json'], {
+            cwd: repo,
+            timeout: 20000,
+            env,
+        });
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'finalize-back-merge-test-'));
+        repo = join(tmpDir, 'repo');
+        const origin = join(tmpDir, 'origin.git');
+        const binDir = join(tmpDir, 'bin');
+        await mkdir(repo);
+        await mkdir(binDir);
+
+        // Fake gh: logs each `pr` call; `pr list` finds PR #7 once it was created
+        await writeFile(
+            join(binDir, 'gh'),
+            [
+                '#!/bin/sh',
+                'if [ "$1" = "pr" ]; then',
+                `  echo "$*" >> "${tmpDir}/gh-log"`,
+                `  if [ "$2" = "create" ]; then touch "${tmpDir}/pr-open"; echo "https://github.com/acme/app/pull/7"; fi`,
+                `  if [ "$2" = "list" ]; then [ -f "${tmpDir}/pr-open" ] && echo '[{"number":7,"url":"https://github.com/acme/app/pull/7","isDraft":false}]' || echo '[]'; fi`,
+                'fi',
+                'exit 0',
+                '',
+            ].join('\n'),
+        );
+        await chmod(join(binDir, 'gh'), 0o755);
+        env = { ...process.env, PATH: `${binDir}:${process.env.PATH}` };
+
+        await exec('git', ['init', '--bare', '-b', 'main', origin], { cwd: tmpDir });
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await git(['remote', 'add', 'origin', origin]);
+        await writeFile(join(repo, 'package.json'), '{"version":"1.0.0"}\n');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['branch', 'dev']);
+
+        await git(['checkout', '-b', 'release/1.1.0']);
+        await writeFile(join(repo, 'package.json'), '{"version":"1.1.0"}\n');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'chore(release): bump version to 1.1.0']);
+        await git(['checkout', 'main']);
+        await git(['merge', '--no-ff', 'release/1.1.0', '-m', 'Merge pull request #6 from acme/release/1.1.0']);
+        await git(['push', 'origin', 'main']);
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('back-merges --main into --dev once the release is merged, and only once', async () => {
+        const first = JSON.parse((await finalize()).stdout);
+        assert.deepEqual(first.backMerge, { url: 'https://github.com/acme/app/pull/7', number: 7, state: 'open', conflicts: [] });
+
+        const second = JSON.parse((await finalize()).stdout);
+        assert.equal(second.backMerge.number, 7);
+
+        const calls = (await readFile(join(tmpDir, 'gh-log'), 'utf8')).trim().split('\n');
+        const creates = calls.filter((c) => c.startsWith('pr create'));
+        assert.equal(creates.length, 1, calls.join('\n'));
+        assert.ok(creates[0].startsWith('pr create --base dev --head main --title Back-merge 1.1.0 into dev'), creates[0]);
+    });
+});
@@ -0,0 +1,92 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { chmod, mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+
+const exec = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, '..', 'cli.js');
+
+describe('Hotfix mode (--target)', () => {
+    let tmpDir;
+    let repo;
+    let env;
+    const git = (args) => exec('git', args, { cwd: repo });
+    const commit = async (file, content, message) => {
+        await writeFile(join(repo, file), content);
+        await git(['add', '.']);
+        await git(['commit', '-m', message]);
+    };
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'hotfix-test-'));
+        repo = join(tmpDir, 'repo');
+        const origin = join(tmpDir, 'origin.git');
+        const binDir = join(tmpDir, 'bin');
+        await mkdir(repo);
+        await mkdir(binDir);
+
+        // Fake gh: records the arguments of `gh pr create`
+        await writeFile(
+            join(binDir, 'gh'),
+            `#!/bin/sh\nif [ "$1" = "pr" ]; then echo "$*" > "${tmpDir}/gh-args"; echo "https://github.com/acme/app/pull/7"; fi\nexit 0\n`,
+        );
+        await chmod(join(binDir, 'gh'), 0o755);
+        env = { ...process.env, PATH: `${binDir}:${process.env.PATH}` };
+
+        await exec('git', ['init', '--bare', '-b', 'main', origin], { cwd: tmpDir });
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await git(['remote', 'add', 'origin', origin]);
+        await commit('package.json', '{"version":"1.8.0"}\n', 'init');
+
+        // Maintenance branch at 1.8.2, while main moves on to 2.0.0
+        await git(['checkout', '-b', 'release/1.8.x']);
+        await commit('package.json', '{"version":"1.8.2"}\n', 'chore(release): bump version to 1.8.2');
+        await git(['push', 'origin', 'release/1.8.x']);
+        await git(['checkout', 'main']);
+        await commit('package.json', '{"version":"2.0.0"}\n', 'chore(release): bump version to 2.0.0');
+        await commit('export.txt', 'x', 'feat: export');
+        await commit('login.txt', 'x', 'fix: login crash');
+        await git(['push', 'origin', 'main']);
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('picks from --main onto hotfix/<patch> cut from the target and opens the PR against it', async () => {
+        const { stderr } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--main', 'origin/main', '--target', 'origin/release/1.8.x', '--ignore-commits', '^chore', '--ci'],
+            { cwd: repo, timeout: 20000, env },
+        );
+        assert.ok(stderr.includes('⚠ The selected commits call for a minor bump; hotfixes to origin/release/1.8.x bump the patch version only.'), stderr);
+
+        const subjects = (await git(['log', '--format=%s', 'origin/release/1.8.x..origin/hotfix/1.8.3'])).stdout.trim().split('\n');
+        assert.deepEqual(subjects, ['chore(release): bump version to 1.8.3', 'fix: login crash', 'feat: export']);
+        assert.equal((await git(['show', 'origin/hotfix/1.8.3:package.json'])).stdout, '{"version":"1.8.3"}\n');
+
+        const args = await readFile(join(tmpDir, 'gh-args'), 'utf8');
+        assert.ok(args.startsWith('pr create --base release/1.8.x --head hotfix/1.8.3 --title Release 1.8.3'), args);
+    });
+
+    it('rejects --dev and --back-merge, which have no place in a hotfix', async () => {
+        const run = (...args) =>
+            exec('node', [CLI, '--no-fetch', '--main', 'origin/main', '--target', 'origin/release/1.8.x', '--ci', ...args], { cwd: repo, timeout: 20000, env });
+        await assert.rejects(run('--dev', 'origin/main'), (e) => e.stderr.includes('--target picks from --main; --dev cannot be combined with it'));
+        await assert.rejects(run('--back-merge'), (e) => e.stderr.includes('--back-merge cannot be combined with --target'));
+    });
+
+    it('rejects a target that does not exist', async () => {
+        await assert.rejects(
+            exec('node', [CLI, '--no-fetch', '--main', 'origin/main', '--target', 'origin/support/9.x', '--ci'], { cwd: repo, timeout: 20000, env }),
+            (e) => e.stderr.includes('Unknown --target "origin/support/9.x"'),
+        );
+    });
+});
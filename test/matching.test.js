@@ -0,0 +1,152 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import {
+    buildMainIndex,
+    filterMissing,
+    getPatchIds,
+    parseCherryPickTrailers,
+} from '../src/matching.js';
+
+const exec = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, '..', 'cli.js');
+
+describe('Commit matching', () => {
+    it('--help shows --match with all strategies', async () => {
+        const { stdout } = await exec('node', [CLI, '--help']);
+        assert.ok(stdout.includes('--match'), 'should show --match flag');
+        for (const strategy of ['subject', 'patch-id', 'trailer', 'auto']) {
+            assert.ok(stdout.includes(strategy), `should mention ${strategy}`);
+        }
+    });
+
+    it('--help shows --record-origin', async () => {
+        const { stdout } = await exec('node', [CLI, '--help']);
+        assert.ok(stdout.includes('--record-origin'), 'should show --record-origin flag');
+    });
+
+    it('parseCherryPickTrailers extracts every referenced sha', () => {
+        const body = [
+            'fix: login redirect',
+            '',
+            '(cherry picked from commit 0123456789abcdef0123456789abcdef01234567)',
+            '(cherry picked from commit abcdef1)',
+        ].join('\n');
+        assert.deepEqual(parseCherryPickTrailers(body), [
+            '0123456789abcdef0123456789abcdef01234567',
+            'abcdef1',
+        ]);
+        assert.deepEqual(parseCherryPickTrailers('chore: nothing here'), []);
+    });
+});
+
+describe('Commit matching strategies', () => {
+    let tmpDir;
+    let cwd;
+    let commits;
+
+    const git = async (args) => (await exec('git', args, { cwd: tmpDir })).stdout.trim();
+
+    async function commitFile(file, content, message) {
+        await writeFile(join(tmpDir, file), content);
+        await git(['add', '.']);
+        await git(['commit', '-m', message]);
+        return git(['rev-parse', 'HEAD']);
+    }
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'match-test-'));
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await commitFile('base.txt', 'base', 'init');
+
+        await git(['checkout', '-b', 'dev']);
+        const reworded = await commitFile('a.txt', 'a', 'feat: add a');
+        const sameSubject = await commitFile('b.txt', 'b', 'fix lint');
+        const trailered = await commitFile('c.txt', 'c', 'fix: typo in c');
+        const untouched = await commitFile('d.txt', 'd', 'feat: add d');
+
+        await git(['checkout', 'main']);
+        await git(['cherry-pick', reworded]);
+        await git(['commit', '--amend', '-m', 'feat: add a (reworded)']);
+        await commitFile('e.txt', 'e', 'fix lint');
+        await git(['cherry-pick', '-x', trailered]);
+        await git(['commit', '--amend', '-m', `fix: typo in c, edited\n\n(cherry picked from commit ${trailered})`]);
+
+        const log = await git(['log', '--pretty=%H|||%ct|||%s', 'dev', '^main~3']);
+        commits = log.split('\n').map((line) => {
+            const [hash, timestamp, subject] = line.split('|||');
+            return { hash, subject, timestamp: Number(timestamp) };
+        });
+        commits = commits.filter((c) => [reworded, sameSubject, trailered, untouched].includes(c.hash));
+
+        cwd = process.cwd();
+        process.chdir(tmpDir);
+    });
+
+    after(async () => {
+        process.chdir(cwd);
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    const gitRawFn = async (args) => git(args);
+
+    async function run(strategy) {
+        const index = await buildMainIndex('main', commits, strategy, gitRawFn);
+        const devPatchIds = await getPatchIds(commits.map((c) => c.hash));
+        const { missing, matched } = filterMissing(commits, index, strategy, devPatchIds);
+        return {
+            missing: missing.map((c) => c.subject).sort(),
+            reasons: Object.fromEntries(matched.map((m) => [m.subject, m.reason])),
+        };
+    }
+
+    it('subject: matches equal subjects even when the change differs', async () => {
+        const { missing, reasons } = await run('subject');
+        assert.equal(reasons['fix lint'], 'subject');
+        assert.deepEqual(missing, ['feat: add a', 'feat: add d']);
+    });
+
+    it('subject: honours cherry-pick trailers even when the subject was edited', async () => {
+        const { reasons } = await run('subject');
+        assert.equal(reasons['fix: typo in c'], 'trailer');
+    });
+
+    it('patch-id: matches reworded commits, not same-subject different changes', async () => {
+        const { missing, reasons } = await run('patch-id');
+        assert.equal(reasons['feat: add a'], 'patch-id');
+        assert.equal(reasons['fix: typo in c'], 'trailer');
+        assert.ok(missing.includes('fix lint'), 'same subject with a different diff should stay missing');
+        assert.ok(missing.includes('feat: add d'));
+    });
+
+    it('trailer: matches commits referenced by cherry-pick trailers only', async () => {
+        const { missing, reasons } = await run('trailer');
+        assert.deepEqual(reasons, { 'fix: typo in c': 'trailer' });
+        assert.deepEqual(missing, ['feat: add a', 'feat: add d', 'fix lint']);
+    });
+
+    it('auto: prefers trailer, then patch-id, and never matches on subject alone', async () => {
+        const { missing, reasons } = await run('auto');
+        assert.equal(reasons['fix: typo in c'], 'trailer');
+        assert.equal(reasons['feat: add a'], 'patch-id');
+        assert.deepEqual(missing, ['feat: add d', 'fix lint']);
+    });
+    it('handles more dev commits than fit in a function call', async () => {
+        const many = Array.from({ length: 500000 }, (_, i) => ({ hash: String(i), subject: 'x', timestamp: 2000000000 - i }));
+        const calls = [];
+        const index = await buildMainIndex('main', many, 'trailer', async (args) => {
+            calls.push(args);
+            return '';
+        });
+        assert.equal(index.hashes.size, 0);
+        assert.ok(calls.some((args) => args.some((a) => a === `--since=${2000000000 - 499999 - 86400}`)), JSON.stringify(calls));
+    });
+});
@@ -0,0 +1,150 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { createElement } from 'react';
+import { renderToString } from 'ink';
+import { CommitList } from '../src/tui/CommitList.js';
+
+const exec = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, '..', 'cli.js');
+
+async function runCli(args, cwd) {
+    try {
+        const { stdout, stderr } = await exec('node', [CLI, ...args], { cwd, timeout: 10000 });
+        return { stdout, stderr, code: 0 };
+    } catch (e) {
+        return { stdout: e.stdout || '', stderr: e.stderr || '', code: e.code || 1 };
+    }
+}
+
+const BASE = ['--no-fetch', '--dev', 'dev', '--main', 'main', '--all-yes', '--push-release=false'];
+
+describe('Merge commits', () => {
+    let tmpDir;
+    const git = async (args) => (await exec('git', args, { cwd: tmpDir })).stdout.trim();
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'merges-test-'));
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await writeFile(join(tmpDir, 'package.json'), '{"version":"1.0.0"}\n');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['checkout', '-b', 'dev']);
+        await git(['checkout', '-b', 'feature']);
+        for (const name of ['one', 'two']) {
+            await writeFile(join(tmpDir, `${name}.txt`), name);
+            await git(['add', '.']);
+            await git(['commit', '-m', `feat: ${name}`]);
+        }
+        await git(['checkout', 'dev']);
+        await git(['merge', '--no-ff', 'feature', '-m', "Merge branch 'feature'"]);
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('--help shows --include-merges and --mainline', async () => {
+        const { stdout } = await exec('node', [CLI, '--help']);
+        assert.ok(stdout.includes('--include-merges'), 'should show --include-merges flag');
+        assert.ok(stdout.includes('--mainline'), 'should show --mainline flag');
+    });
+
+    it('without --include-merges, only the merged commits are listed', async () => {
+        const { stdout } = await runCli([...BASE, '--dry-run'], tmpDir);
+        const picks = stdout.split('would cherry-pick')[1] || '';
+        assert.ok(picks.includes('feat: one') && picks.includes('feat: two'));
+        assert.ok(!picks.includes("Merge branch 'feature'"));
+    });
+
+    it('--include-merges lists the merge as a single unit', async () => {
+        const { stdout } = await runCli([...BASE, '--include-merges', '--dry-run'], tmpDir);
+        const picks = stdout.split('would cherry-pick')[1] || '';
+        assert.ok(picks.includes("Merge branch 'feature'"), 'should list the merge commit');
+        assert.ok(!picks.includes('feat: one'), 'should hide commits reachable only through the merge');
+    });
+
+    it('picks the merge with -m and matches it by patch-id on the next run', async () => {
+        await git(['checkout', 'main']);
+        await runCli(
+            [...BASE, '--include-merges', '--match', 'auto', '--create-release=false', '--semantic-versioning=false'],
+            tmpDir,
+        );
+        const files = await git(['ls-tree', '--name-only', 'HEAD']);
+        assert.ok(files.includes('one.txt') && files.includes('two.txt'), 'merge changes should land on main');
+
+        const { stdout } = await runCli([...BASE, '--include-merges', '--match', 'auto', '--dry-run'], tmpDir);
+        assert.ok(stdout.includes('[patch-id'), 'picked merge should match by patch-id');
+        assert.ok(stdout.includes('No missing commits'), 'nothing should be left to pick');
+    });
+
+    it('TUI marks merges and lists child commits when expanded', () => {
+        const merge = { hash: 'a'.repeat(40), subject: "Merge branch 'feature'", isMerge: true };
+        const child = { hash: 'b'.repeat(40), subject: 'feat: one' };
+        const output = renderToString(
+            createElement(CommitList, {
+                commits: [merge],
+                selected: new Set(),
+                cursorIndex: 0,
+                expanded: new Map([[merge.hash, [child]]]),
+            }),
+        );
+        assert.ok(output.includes('[merge]'), 'should tag merge rows');
+        assert.ok(output.includes('↳ bbbbbbb  feat: one'), 'should list child commits');
+    });
+});
+
+describe('Merge commits after dev moved on', () => {
+    let tmpDir;
+    const git = async (args) => (await exec('git', args, { cwd: tmpDir })).stdout.trim();
+
+    before(async () => {
+        // dev gets a commit of its own before the feature is merged, so the merge's
+        // diff against its second parent is not empty
+        tmpDir = await mkdtemp(join(tmpdir(), 'merges-ahead-test-'));
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await writeFile(join(tmpDir, 'package.json'), '{"version":"1.0.0"}\n');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['checkout', '-b', 'dev']);
+        await writeFile(join(tmpDir, 'zero.txt'), 'zero');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'feat: zero']);
+        await git(['checkout', '-b', 'feature', 'main']);
+        await writeFile(join(tmpDir, 'one.txt'), 'one');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'feat: one']);
+        await git(['checkout', 'dev']);
+        await git(['merge', '--no-ff', 'feature', '-m', "Merge branch 'feature'"]);
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('matches a picked merge by its first-parent patch-id only', async () => {
+        await git(['checkout', 'main']);
+        await runCli(
+            [...BASE, '--include-merges', '--ignore-commits', '^feat: zero', '--create-release=false', '--semantic-versioning=false'],
+            tmpDir,
+        );
+        const files = await git(['ls-tree', '--name-only', 'HEAD']);
+        assert.ok(files.includes('one.txt') && !files.includes('zero.txt'), 'only the merge should be picked');
+
+        const { stdout } = await runCli([...BASE, '--include-merges', '--match', 'patch-id', '--dry-run'], tmpDir);
+        assert.ok(stdout.includes("Already on main [patch-id"), stdout);
+        const picks = stdout.split('would cherry-pick')[1] || '';
+        assert.ok(picks.includes('feat: zero'), 'the dev commit is still missing');
+        assert.ok(!picks.includes("Merge branch 'feature'"), 'the picked merge should match');
+    });
+});
@@ -0,0 +1,798 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile, spawn } from 'node:child_process';
+import { createServer } from 'node:http';
+import { promisify } from 'node:util';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { chmod, mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { CHANGELOG_MARKER, createPrProvider, mergePrTemplate } from '../src/pr-providers.js';
+
+const exec = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, '..', 'cli.js');
+
+const REQUEST = {
+    base: 'main',
+    head: 'release/1.2.0',
+    title: 'Release 1.2.0',
+    body: '## Features\n- search',
+    bodyFile: 'RELEASE_CHANGELOG.md',
+    labels: ['release'],
+    reviewers: ['alice', 'acme/core'],
+    assignees: ['bob'],
+};
+
+/** Stub fetch: records requests and answers with `respond(url, init)`, a JSON body. */
+function stubFetch(respond) {
+    const calls = [];
+    const fetchFn = async (url, init = {}) => {
+        calls.push({ url, method: init.method || 'GET', body: init.body ? JSON.parse(init.body) : null, headers: init.headers });
+        return { ok: true, status: 201, json: async () => respond(url, init) };
+    };
+    return { fetchFn, calls };
+}
+
+describe('PR providers', () => {
+    it('picks the provider from config, then the forge type, then the origin remote', () => {
+        const opts = (remoteUrl, forgeType = null) => ({ remoteUrl, forgeType, env: {} });
+        assert.equal(createPrProvider({}, opts('git@gitlab.example.com:team/app.git')).name, 'gitlab');
+        assert.equal(createPrProvider({}, opts('git@git.corp:team/app.git', 'gitea')).name, 'gitea');
+        assert.equal(createPrProvider({ provider: 'bitbucket' }, opts('git@github.com:o/r.git')).name, 'bitbucket');
+        assert.equal(createPrProvider({}, opts('/srv/git/app.git')).name, 'github', 'GitHub stays the default');
+        assert.equal(createPrProvider({}, opts('git@github.com:o/r.git')).via, 'cli');
+        assert.equal(createPrProvider({}, opts('https://codeberg.org/o/r.git')).via, 'api');
+        assert.throws(() => createPrProvider({ provider: 'svn' }), /Unknown PR provider "svn"/);
+        assert.throws(() => createPrProvider({ provider: 'gitea', via: 'cli' }), /has no CLI/);
+    });
+
+    it('reports a missing CLI or token before anything is pushed', async () => {
+        const gh = createPrProvider({}, { remoteUrl: 'git@github.com:o/r.git', hasCommand: async () => false });
+        assert.match((await gh.check()).message, /GitHub CLI \(gh\) is not installed/);
+        const gitea = createPrProvider({}, { remoteUrl: 'https://codeberg.org/o/r.git', env: {} });
+        assert.match((await gitea.check()).message, /needs GITEA_TOKEN/);
+        const unknown = createPrProvider({ provider: 'gitlab', via: 'api' }, { remoteUrl: '/srv/git/app.git', env: { GITLAB_TOKEN: 't' } });
+        assert.match((await unknown.check()).message, /Cannot tell the gitlab repository/);
+        const ready = createPrProvider({}, { remoteUrl: 'https://codeberg.org/o/r.git', env: { GITEA_TOKEN: 't' } });
+        assert.equal(await ready.check(), null);
+    });
+
+    it('github and gitlab CLIs get labels, reviewers and assignees as flags', async () => {
+        const runs = [];
+        const runFn = async (bin, args) => {
+            runs.push([bin, ...args]);
+            return bin === 'gh' ? 'https://github.com/o/r/pull/42\n' : 'Creating merge request...\nhttps://gitlab.com/o/r/-/merge_requests/7\n';
+        };
+        const gh = createPrProvider({}, { remoteUrl: 'git@github.com:o/r.git', runFn });
+        assert.deepEqual(await gh.createPullRequest({ ...REQUEST, draft: true }), { url: 'https://github.com/o/r/pull/42', number: 42, state: 'open', draft: true, warnings: [] });
+        assert.deepEqual(runs[0], [
+            'gh', 'pr', 'create', '--base', 'main', '--head', 'release/1.2.0', '--title', 'Release 1.2.0',
+            '--body-file', 'RELEASE_CHANGELOG.md', '--draft',
+            '--label', 'release', '--reviewer', 'alice', '--reviewer', 'acme/core', '--assignee', 'bob',
+        ]);
+        await gh.createPullRequest({ ...REQUEST, milestone: 'v1.2.0' });
+        assert.deepEqual(runs[1].slice(-2), ['--milestone', 'v1.2.0']);
+
+        const glab = createPrProvider({}, { remoteUrl: 'git@gitlab.com:o/r.git', runFn });
+        assert.equal((await glab.createPullRequest(REQUEST)).number, 7);
+        assert.deepEqual(runs[2].slice(-6), ['--label', 'release', '--reviewer', 'alice,acme/core', '--assignee', 'bob']);
+    });
+
+    it('glab gets a description too long for the command line from the body file', async () => {
+        const runs = [];
+        const runFn = async (bin, args) => {
+            runs.push([bin, ...args]);
+            if (args[1] === 'view') return JSON.stringify({ iid: 7, web_url: 'https://gitlab.com/o/r/-/merge_requests/7', state: 'opened' });
+            return 'https://gitlab.com/o/r/-/merge_requests/7\n';
+        };
+        const glab = createPrProvider({}, { remoteUrl: 'git@gitlab.com:o/r.git', runFn });
+        const request = { ...REQUEST, body: 'x'.repeat(200 * 1024) };
+        const describe = ['glab', 'api', '--method', 'PUT', 'projects/:id/merge_requests/7', '--field', 'description=@RELEASE_CHANGELOG.md'];
+
+        assert.equal((await glab.createPullRequest(request)).number, 7);
+        assert.equal(runs[0][runs[0].indexOf('--description') + 1], 'The changelog follows.');
+        assert.deepEqual(runs[1], describe);
+
+        runs.length = 0;
+        await glab.updatePullRequest(request);
+        assert.deepEqual(runs.slice(1), [['glab', 'mr', 'update', '7', '--title', 'Release 1.2.0', '--yes'], describe]);
+    });
+
+    it('github API adds labels, assignees and user/team reviewers after creating the PR', async () => {
+        const { fetchFn, calls } = stubFetch(() => ({ html_url: 'https://ghe.corp/o/r/pull/5', number: 5, state: 'open', draft: false }));
+        const provider = createPrProvider({ via: 'api' }, { remoteUrl: 'git@ghe.corp:o/r.git', forgeType: 'github', env: { GH_TOKEN: 'tok' }, fetchFn });
+        const pr = await provider.createPullRequest(REQUEST);
+        assert.deepEqual(pr, { url: 'https://ghe.corp/o/r/pull/5', number: 5, state: 'open', draft: false, warnings: [] });
+        assert.deepEqual(calls.map((c) => [c.method, c.url]), [
+            ['POST', 'https://ghe.corp/api/v3/repos/o/r/pulls'],
+            ['POST', 'https://ghe.corp/api/v3/repos/o/r/issues/5/labels'],
+            ['POST', 'https://ghe.corp/api/v3/repos/o/r/issues/5/assignees'],
+            ['POST', 'https://ghe.corp/api/v3/repos/o/r/pulls/5/requested_reviewers'],
+        ]);
+        assert.deepEqual(calls[3].body, { reviewers: ['alice'], team_reviewers: ['core'] });
+        assert.equal(calls[0].headers.Authorization, 'Bearer tok');
+    });
+
+    it('gitlab API resolves usernames to IDs and marks drafts in the title', async () => {
+        const { fetchFn, calls } = stubFetch((url) => {
+            if (url.includes('username=alice')) return [{ id: 11 }];
+            if (url.includes('username=bob')) return [{ id: 12 }];
+            if (url.includes('/users?')) return [];
+            return { web_url: 'https://gitlab.example.com/team/app/-/merge_requests/3', iid: 3, state: 'opened', draft: true };
+        });
+        const provider = createPrProvider({ via: 'api' }, { remoteUrl: 'git@gitlab.example.com:team/app.git', env: { GITLAB_TOKEN: 'tok' }, fetchFn });
+        const pr = await provider.createPullRequest({ ...REQUEST, draft: true });
+        assert.equal(pr.number, 3);
+        assert.equal(pr.state, 'open', 'GitLab "opened" is reported as "open"');
+        assert.deepEqual(pr.warnings, ['unknown GitLab user "acme/core"']);
+        const create = calls.find((c) => c.method === 'POST');
+        assert.equal(create.url, 'https://gitlab.example.com/api/v4/projects/team%2Fapp/merge_requests');
+        assert.deepEqual(create.body, {
+            source_branch: 'release/1.2.0',
+            target_branch: 'main',
+            title: 'Draft: Release 1.2.0',
+            description: '## Features\n- search',
+            labels: 'release',
+            reviewer_ids: [11],
+            assignee_ids: [12],
+        });
+        assert.equal(create.headers['PRIVATE-TOKEN'], 'tok');
+    });
+
+    it('bitbucket API takes account IDs or UUIDs and warns about labels and assignees', async () => {
+        const { fetchFn, calls } = stubFetch(() => ({ id: 9, state: 'OPEN', links: { html: { href: 'https://bitbucket.org/ws/app/pull-requests/9' } } }));
+        const provider = createPrProvider(
+            {},
+            { remoteUrl: 'git@bitbucket.org:ws/app.git', env: { BITBUCKET_USERNAME: 'me', BITBUCKET_APP_PASSWORD: 'pw' }, fetchFn },
+        );
+        const pr = await provider.createPullRequest({ ...REQUEST, reviewers: ['557058:abc', '{d3f1-uuid}'] });
+        assert.deepEqual(pr, {
+            url: 'https://bitbucket.org/ws/app/pull-requests/9',
+            number: 9,
+            state: 'open',
+            draft: false,
+            warnings: ['Bitbucket pull requests have no labels', 'Bitbucket pull requests have no assignees'],
+        });
+        assert.equal(calls[0].url, 'https://api.bitbucket.org/2.0/repositories/ws/app/pullrequests');
+        assert.deepEqual(calls[0].body.reviewers, [{ account_id: '557058:abc' }, { uuid: '{d3f1-uuid}' }]);
+        assert.equal(calls[0].headers.Authorization, `Basic ${Buffer.from('me:pw').toString('base64')}`);
+    });
+
+    it('gitea API maps label names to IDs and requests reviews separately', async () => {
+        const { fetchFn, calls } = stubFetch((url) =>
+            url.includes('/labels') ? [{ id: 4, name: 'release' }] : { html_url: 'https://gitea.corp/team/app/pulls/8', number: 8 },
+        );
+        const provider = createPrProvider({}, { remoteUrl: 'https://gitea.corp/team/app.git', env: { GITEA_TOKEN: 'tok' }, fetchFn });
+        const pr = await provider.createPullRequest({ ...REQUEST, labels: ['release', 'qa'], draft: true });
+        assert.deepEqual(pr.warnings, ['unknown Gitea label "qa"']);
+        const create = calls.find((c) => c.url.endsWith('/pulls'));
+        assert.equal(create.url, 'https://gitea.corp/api/v1/repos/team/app/pulls');
+        assert.equal(create.body.title, 'WIP: Release 1.2.0');
+        assert.deepEqual(create.body.labels, [4]);
+        assert.deepEqual(calls.at(-1).body, { reviewers: ['alice'], team_reviewers: ['core'] });
+        assert.equal(create.headers.Authorization, 'token tok');
+    });
+});
+
+describe('Updating release PRs', () => {
+    it('edits the description of the open PR from the release branch', async () => {
+        const runs = [];
+        const runFn = async (bin, args) => {
+            runs.push([bin, ...args]);
+            return args[1] === 'view' ? '{"number":42,"url":"https://github.com/o/r/pull/42","state":"OPEN","isDraft":true}' : '';
+        };
+        const gh = createPrProvider({}, { remoteUrl: 'git@github.com:o/r.git', runFn });
+        assert.deepEqual(await gh.updatePullRequest(REQUEST), { url: 'https://github.com/o/r/pull/42', number: 42, state: 'open', draft: true, warnings: [] });
+        assert.deepEqual(runs[1], ['gh', 'pr', 'edit', '42', '--title', 'Release 1.2.0', '--body-file', 'RELEASE_CHANGELOG.md']);
+
+        const { fetchFn, calls } = stubFetch((url, init) =>
+            init.method === 'PATCH' ? { html_url: 'https://github.com/o/r/pull/5', number: 5, state: 'open' } : [{ number: 5 }],
+        );
+        const api = createPrProvider({ via: 'api' }, { remoteUrl: 'git@github.com:o/r.git', env: { GH_TOKEN: 'tok' }, fetchFn });
+        assert.equal((await api.updatePullRequest(REQUEST)).number, 5);
+        assert.deepEqual(calls.map((c) => [c.method, c.url]), [
+            ['GET', 'https://api.github.com/repos/o/r/pulls?state=open&head=o%3Arelease%2F1.2.0'],
+            ['PATCH', 'https://api.github.com/repos/o/r/pulls/5'],
+        ]);
+        assert.deepEqual(calls[1].body, { title: REQUEST.title, body: REQUEST.body });
+    });
+
+    it('finds the open PR between two branches', async () => {
+        const runs = [];
+        const runFn = async (bin, args) => {
+            runs.push([bin, ...args]);
+            return '[{"number":43,"url":"https://github.com/o/r/pull/43","isDraft":false}]';
+        };
+        const gh = createPrProvider({}, { remoteUrl: 'git@github.com:o/r.git', runFn });
+        const request = { head: 'release/1.2.0', base: 'dev' };
+        assert.deepEqual(await gh.findPullRequest(request), { url: 'https://github.com/o/r/pull/43', number: 43, state: 'open', draft: false });
+        assert.deepEqual(runs[0], ['gh', 'pr', 'list', '--head', 'release/1.2.0', '--base', 'dev', '--state', 'open', '--json', 'number,url,isDraft']);
+
+        const { fetchFn, calls } = stubFetch(() => []);
+        const gitlab = createPrProvider({ via: 'api' }, { remoteUrl: 'git@gitlab.com:o/r.git', env: { GITLAB_TOKEN: 't' }, fetchFn });
+        assert.equal(await gitlab.findPullRequest(request), null);
+        assert.equal(
+            calls[0].url,
+            'https://gitlab.com/api/v4/projects/o%2Fr/merge_requests?state=opened&source_branch=release%2F1.2.0&target_branch=dev',
+        );
+    });
+
+    it('resolves null when the release branch has no open PR', async () => {
+        const gh = createPrProvider({}, { remoteUrl: 'git@github.com:o/r.git', runFn: async () => { throw new Error('no pull requests found'); } });
+        assert.equal(await gh.updatePullRequest(REQUEST), null);
+        const { fetchFn, calls } = stubFetch(() => []);
+        const gitea = createPrProvider({}, { remoteUrl: 'https://codeberg.org/o/r.git', env: { GITEA_TOKEN: 't' }, fetchFn });
+        assert.equal(await gitea.updatePullRequest(REQUEST), null);
+        assert.equal(calls.length, 1, 'nothing is edited');
+    });
+
+    it('gitea pages through the open PRs to find the release branch', async () => {
+        const others = Array.from({ length: 50 }, (_, i) => ({ number: i + 1, head: { ref: `feature/${i}` } }));
+        const { fetchFn, calls } = stubFetch((url, init) => {
+            if (init.method === 'PATCH') return { html_url: 'https://codeberg.org/o/r/pulls/77', number: 77, state: 'open' };
+            return url.endsWith('page=1') ? others : [{ number: 77, head: { ref: 'release/1.2.0' } }];
+        });
+        const gitea = createPrProvider({}, { remoteUrl: 'https://codeberg.org/o/r.git', env: { GITEA_TOKEN: 't' }, fetchFn });
+        assert.equal((await gitea.updatePullRequest(REQUEST)).number, 77);
+        assert.deepEqual(calls.map((c) => [c.method, c.url]), [
+            ['GET', 'https://codeberg.org/api/v1/repos/o/r/pulls?state=open&limit=50&page=1'],
+            ['GET', 'https://codeberg.org/api/v1/repos/o/r/pulls?state=open&limit=50&page=2'],
+            ['PATCH', 'https://codeberg.org/api/v1/repos/o/r/pulls/77'],
+        ]);
+    });
+
+    it('gitea stops paging after a short page', async () => {
+        const { fetchFn, calls } = stubFetch(() => [{ number: 1, head: { ref: 'feature/x' } }]);
+        const gitea = createPrProvider({}, { remoteUrl: 'https://codeberg.org/o/r.git', env: { GITEA_TOKEN: 't' }, fetchFn });
+        assert.equal(await gitea.updatePullRequest(REQUEST), null);
+        assert.equal(calls.length, 1);
+    });
+});
+
+describe('Appending to a release branch (CLI)', () => {
+    let tmpDir;
+    let repo;
+    let env;
+    const git = (args) => exec('git', args, { cwd: repo });
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'pr-append-test-'));
+        repo = join(tmpDir, 'repo');
+        const origin = join(tmpDir, 'origin.git');
+        const binDir = join(tmpDir, 'bin');
+        await mkdir(repo);
+        await mkdir(binDir);
+
+        // Fake gh: `pr view` finds PR #42 once it was created, `pr list` the back-merge PR #43; every `pr` call is logged to gh-log
+        await writeFile(
+            join(binDir, 'gh'),
+            `#!/bin/sh
+if [ "$1" = "pr" ]; then echo "$*" >> "${tmpDir}/gh-log"; fi
+` +
+                `if [ "$2" = "create" ] && [ "$4" = "dev" ]; then touch "${tmpDir}/back-merge-open"; echo "https://github.com/acme/app/pull/43"; exit 0; fi
+` +
+                `if [ "$2" = "create" ]; then touch "${tmpDir}/pr-open"; echo "https://github.com/acme/app/pull/42"; fi
+` +
+                `if [ "$2" = "list" ]; then [ -f "${tmpDir}/back-merge-open" ] && echo '[{"number":43,"url":"https://github.com/acme/app/pull/43","isDraft":false}]' || echo '[]'; fi
+` +
+                `if [ "$2" = "view" ]; then [ -f "${tmpDir}/pr-open" ] || exit 1; echo '{"number":42,"url":"https://github.com/acme/app/pull/42","state":"OPEN","isDraft":false}'; fi
+` +
+                `if [ "$2" = "edit" ]; then cp RELEASE_CHANGELOG.md "${tmpDir}/gh-body"; fi
+exit 0
+`,
+        );
+        await chmod(join(binDir, 'gh'), 0o755);
+        env = { ...process.env, PATH: `${binDir}:${process.env.PATH}` };
+
+        await exec('git', ['init', '--bare', '-b', 'main', origin], { cwd: tmpDir });
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await git(['remote', 'add', 'origin', origin]);
+        await writeFile(join(repo, 'package.json'), '{"version":"1.0.0"}\n');
+        await writeFile(join(repo, 'CHANGELOG.md'), '# Changelog\n');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['push', 'origin', 'main']);
+        await git(['checkout', '-b', 'dev']);
+        await writeFile(join(repo, 'search.txt'), 'x');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'feat: search']);
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('--ci asks for --existing-release when the release branch exists', async () => {
+        await exec('node', [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--ci', '--changelog-file', 'CHANGELOG.md'], {
+            cwd: repo,
+            timeout: 20000,
+            env,
+        });
+        await git(['checkout', 'dev']);
+        await writeFile(join(repo, 'export.txt'), 'x');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'feat: export']);
+
+        await assert.rejects(
+            exec('node', [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--ci'], { cwd: repo, timeout: 20000, env }),
+            (e) => e.stderr.includes('Release branch "release/1.1.0" already exists locally on origin. Pass --existing-release'),
+        );
+    });
+
+    it('--existing-release append picks only the new commits and edits the open PR', async () => {
+        await git(['checkout', 'dev']);
+        const { stdout } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--ci', '--changelog-file', 'CHANGELOG.md', '--existing-release', 'append'],
+            { cwd: repo, timeout: 20000, env },
+        );
+        assert.ok(stdout.includes('✓ Updated PR #42 description (open): https://github.com/acme/app/pull/42'), stdout);
+
+        const subjects = (await git(['log', '--format=%s', 'main..origin/release/1.1.0'])).stdout.trim().split('\n');
+        assert.deepEqual(subjects, ['chore(release): bump version to 1.1.0', 'feat: export', 'chore(release): bump version to 1.1.0', 'feat: search']);
+
+        const changelog = (await git(['show', 'origin/release/1.1.0:CHANGELOG.md'])).stdout;
+        assert.equal(changelog.match(/## Release 1\.1\.0/g).length, 1, changelog);
+        assert.ok(changelog.includes('search') && changelog.includes('export'), changelog);
+
+        const ghCalls = (await readFile(join(tmpDir, 'gh-log'), 'utf8')).trim().split('\n');
+        assert.equal(ghCalls.filter((c) => c.startsWith('pr create')).length, 1, 'no second PR');
+        assert.ok(ghCalls.includes('pr edit 42 --body-file RELEASE_CHANGELOG.md'), ghCalls.join('\n'));
+        const body = await readFile(join(tmpDir, 'gh-body'), 'utf8');
+        assert.ok(body.includes('search') && body.includes('export'), body);
+    });
+
+    it('--back-merge opens the back-merge PR on an append unless one is open', async () => {
+        const append = async (file, message) => {
+            await git(['checkout', 'dev']);
+            await writeFile(join(repo, file), 'x');
+            await git(['add', '.']);
+            await git(['commit', '-m', message]);
+            const args = ['--no-fetch', '--dev', 'dev', '--main', 'main', '--ci', '--existing-release', 'append', '--back-merge', '--format', 'json'];
+            return JSON.parse((await exec('node', [CLI, ...args], { cwd: repo, timeout: 20000, env })).stdout).backMerge;
+        };
+        const backMergeCreates = async () =>
+            (await readFile(join(tmpDir, 'gh-log'), 'utf8')).split('\n').filter((c) => c.startsWith('pr create --base dev')).length;
+
+        // The first run had no --back-merge, so there is none to reuse
+        assert.equal((await append('import.txt', 'fix: import')).number, 43);
+        assert.equal(await backMergeCreates(), 1);
+
+        assert.equal((await append('csv.txt', 'fix: csv')).number, 43);
+        assert.equal(await backMergeCreates(), 1, 'the open back-merge PR is reused');
+        const ghCalls = await readFile(join(tmpDir, 'gh-log'), 'utf8');
+        assert.ok(ghCalls.includes('pr list --head release/1.1.0 --base dev --state open --json number,url,isDraft'), ghCalls);
+    });
+});
+
+describe('Appending to a release branch interactively (CLI)', () => {
+    let tmpDir;
+    let repo;
+    let env;
+    const git = (args) => exec('git', args, { cwd: repo });
+    const commit = async (file, message) => {
+        await writeFile(join(repo, file), 'x');
+        await git(['add', '.']);
+        await git(['commit', '-m', message]);
+    };
+
+    /** Run the CLI without --ci, answering each prompt in `answers` ([text it shows, keys]) once, in order; resolves with its stdout. */
+    const runInteractive = (args, answers) =>
+        new Promise((resolve, reject) => {
+            const child = spawn('node', [CLI, ...args], { cwd: repo, env, stdio: ['pipe', 'pipe', 'pipe'] });
+            const timer = setTimeout(() => child.kill(), 20000);
+            let stdout = '';
+            let stderr = '';
+            let answered = 0;
+            let from = 0;
+            child.stdout.on('data', (chunk) => {
+                stdout += chunk;
+                const next = answers[answered];
+                const at = next ? stdout.indexOf(next[0], from) : -1;
+                if (at !== -1) {
+                    answered++;
+                    from = stdout.length;
+                    next[1].forEach((key, i) => setTimeout(() => child.stdin.write(key), 100 * (i + 1)));
+                }
+            });
+            child.stderr.on('data', (chunk) => { stderr += chunk; });
+            child.on('close', (code) => {
+                clearTimeout(timer);
+                if (code === 0) resolve(stdout);
+                else reject(new Error(`exit ${code}: ${stderr}`));
+            });
+        });
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'pr-append-tui-test-'));
+        repo = join(tmpDir, 'repo');
+        const origin = join(tmpDir, 'origin.git');
+        const binDir = join(tmpDir, 'bin');
+        await mkdir(repo);
+        await mkdir(binDir);
+
+        // Fake gh: `pr view` finds PR #42 once it was created; every `pr` call is logged to gh-log
+        await writeFile(
+            join(binDir, 'gh'),
+            [
+                '#!/bin/sh',
+                `if [ "$1" = "pr" ]; then echo "$*" >> "${tmpDir}/gh-log"; fi`,
+                `if [ "$2" = "create" ]; then touch "${tmpDir}/pr-open"; echo "https://github.com/acme/app/pull/42"; fi`,
+                `if [ "$2" = "view" ]; then [ -f "${tmpDir}/pr-open" ] || exit 1; echo '{"number":42,"url":"https://github.com/acme/app/pull/42","state":"OPEN","isDraft":false}'; fi`,
+                'exit 0',
+                '',
+            ].join('\n'),
+        );
+        await chmod(join(binDir, 'gh'), 0o755);
+        env = { ...process.env, PATH: `${binDir}:${process.env.PATH}` };
+
+        await exec('git', ['init', '--bare', '-b', 'main', origin], { cwd: tmpDir });
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await git(['remote', 'add', 'origin', origin]);
+        await writeFile(join(repo, 'package.json'), '{"version":"1.0.0"}\n');
+        await writeFile(join(repo, 'CHANGELOG.md'), '# Changelog\n');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['push', 'origin', 'main']);
+        await git(['checkout', '-b', 'dev']);
+        await commit('typo.txt', 'fix: typo');
+
+        // release/1.0.1 with its PR, then dev moves on
+        await exec('node', [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--ci', '--changelog-file', 'CHANGELOG.md'], {
+            cwd: repo,
+            timeout: 20000,
+            env,
+        });
+        await git(['checkout', 'dev']);
+        await commit('export.txt', 'feat: export');
+        await commit('crash.txt', 'fix: crash');
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('offers only the commits the branch lacks, once, and bumps the release for what was appended', async () => {
+        // Newest first: "fix: crash", then "feat: export" — pick only the feature
+        const stdout = await runInteractive(
+            ['--no-fetch', '--dev', 'dev', '--main', 'main', '--changelog-file', 'CHANGELOG.md', '--existing-release', 'append'],
+            [['Select commits', ['\x1b[B', ' ', '\r']]],
+        );
+        assert.equal(stdout.match(/✔ Select commits/g).length, 1, 'a single selection');
+        assert.ok(stdout.includes('Select commits to cherry-pick (2 missing)'), stdout);
+        assert.ok(stdout.includes('1 of 3 missing commit(s) are already on release/1.0.1.'), stdout);
+        assert.ok(stdout.includes('The appended commits move the release from 1.0.1 to 1.1.0.'), stdout);
+
+        const subjects = (await git(['log', '--format=%s', 'main..origin/release/1.0.1'])).stdout.trim().split('\n');
+        assert.deepEqual(subjects, ['chore(release): bump version to 1.1.0', 'feat: export', 'chore(release): bump version to 1.0.1', 'fix: typo']);
+        assert.equal((await git(['show', 'origin/release/1.0.1:package.json'])).stdout, '{"version":"1.1.0"}\n');
+
+        const changelog = (await git(['show', 'origin/release/1.0.1:CHANGELOG.md'])).stdout;
+        assert.equal(changelog.match(/## Release /g).length, 1, changelog);
+        assert.ok(changelog.includes('## Release 1.1.0') && changelog.includes('typo') && changelog.includes('export'), changelog);
+        assert.ok(!changelog.includes('crash'), changelog);
+
+        const ghCalls = (await readFile(join(tmpDir, 'gh-log'), 'utf8')).trim().split('\n');
+        assert.equal(ghCalls.filter((c) => c.startsWith('pr create')).length, 1, 'no second PR');
+        assert.ok(ghCalls.includes('pr edit 42 --title Release 1.1.0 --body-file RELEASE_CHANGELOG.md'), ghCalls.join('\n'));
+    });
+
+    it('override deletes the pending branch even when the release lands on another one', async () => {
+        // release/1.0.1 is pending; overriding and taking every commit makes the release 1.1.0
+        await git(['checkout', 'dev']);
+        await runInteractive(
+            ['--no-fetch', '--dev', 'dev', '--main', 'main', '--changelog-file', 'CHANGELOG.md'],
+            [['Release branch "release/1.0.1" already exists', ['\r']], ['Select commits', ['a', '\r']]],
+        );
+        const branches = (await git(['branch', '-a', '--format=%(refname:short)'])).stdout;
+        assert.ok(!branches.includes('release/1.0.1'), branches);
+        assert.ok(branches.includes('origin/release/1.1.0'), branches);
+    });
+});
+
+describe('Back-merge PR (CLI)', () => {
+    let tmpDir;
+    let repo;
+    let env;
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'pr-back-merge-test-'));
+        repo = join(tmpDir, 'repo');
+        const origin = join(tmpDir, 'origin.git');
+        const binDir = join(tmpDir, 'bin');
+        await mkdir(repo);
+        await mkdir(binDir);
+
+        // Fake gh: logs each `pr` call, keeps its body file as body-<n>, prints PR URL 40+<n>
+        await writeFile(
+            join(binDir, 'gh'),
+            [
+                '#!/bin/sh',
+                'if [ "$1" = "pr" ]; then',
+                `  echo "$*" >> "${tmpDir}/gh-log"; n=$(wc -l < "${tmpDir}/gh-log" | tr -d ' ')`,
+                `  while [ $# -gt 0 ]; do [ "$1" = "--body-file" ] && cp "$2" "${tmpDir}/body-$n"; shift; done`,
+                '  echo "https://github.com/acme/app/pull/4$n"',
+                'fi',
+                'exit 0',
+                '',
+            ].join('\n'),
+        );
+        await chmod(join(binDir, 'gh'), 0o755);
+        env = { ...process.env, PATH: `${binDir}:${process.env.PATH}` };
+
+        const git = (args, cwd = repo) => exec('git', args, { cwd });
+        await git(['init', '--bare', '-b', 'main', origin], tmpDir);
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await git(['remote', 'add', 'origin', origin]);
+        await writeFile(join(repo, 'package.json'), '{"version":"1.0.0"}\n');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['push', 'origin', 'main']);
+        await git(['checkout', '-b', 'dev']);
+        await writeFile(join(repo, 'search.txt'), 'x');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'feat: search']);
+        // dev moved its own version on, so the release's version bump conflicts with it
+        await writeFile(join(repo, 'package.json'), '{"version":"1.1.0-dev.0"}\n');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'chore: start 1.1.0-dev']);
+        await git(['push', 'origin', 'dev']);
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('opens a back-merge PR into --dev with the release labels and flags the conflicts', async () => {
+        const { stdout, stderr } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--ci', '--current-version', '1.0.0', '--ignore-commits', '^chore', '--pr-labels', 'release', '--back-merge', '--format', 'json'],
+            { cwd: repo, timeout: 20000, env },
+        );
+        assert.ok(stderr.includes('⚠ Back-merging release/1.1.0 into dev conflicts in 1 file(s):'), stderr);
+
+        const calls = (await readFile(join(tmpDir, 'gh-log'), 'utf8')).trim().split('\n');
+        assert.equal(calls.length, 2);
+        assert.ok(calls[1].startsWith('pr create --base dev --head release/1.1.0 --title Back-merge 1.1.0 into dev'), calls[1]);
+        assert.ok(calls[1].endsWith('--label release'), calls[1]);
+
+        const body = await readFile(join(tmpDir, 'body-2'), 'utf8');
+        assert.ok(body.startsWith('Merges `release/1.1.0` back into `dev` after release 1.1.0'), body);
+        assert.ok(body.includes('- `package.json`'), body);
+
+        const result = JSON.parse(stdout);
+        assert.deepEqual(result.backMerge, { url: 'https://github.com/acme/app/pull/42', number: 42, state: 'open', conflicts: ['package.json'] });
+        assert.equal(result.pr.number, 41);
+    });
+
+    it('leaves --back-merge-from main to finalize, as --main does not hold the release yet', async () => {
+        const { stdout } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--ci', '--current-version', '1.0.0', '--ignore-commits', '^chore', '--back-merge', '--back-merge-from', 'main', '--dry-run'],
+            { cwd: repo, timeout: 20000, env },
+        );
+        assert.ok(stdout.includes('--back-merge-from main: run `finalize --back-merge --back-merge-from main` after the release PR is merged.'), stdout);
+        assert.ok(!stdout.includes('would open a back-merge PR'), stdout);
+    });
+});
+
+describe('Release PR metadata', () => {
+    it('merges the changelog into a PR template at the marker, or below it', () => {
+        const changelog = '## Release 1.2.0\n- search';
+        assert.equal(
+            mergePrTemplate(`## Summary\n${CHANGELOG_MARKER}\n\n## Checklist\n- [ ] QA`, changelog),
+            '## Summary\n## Release 1.2.0\n- search\n\n## Checklist\n- [ ] QA',
+        );
+        assert.equal(mergePrTemplate('## Checklist\n- [ ] QA\n\n', changelog), '## Checklist\n- [ ] QA\n\n## Release 1.2.0\n- search');
+        assert.equal(mergePrTemplate(CHANGELOG_MARKER, 'costs $& and $1'), 'costs $& and $1', 'no replacement patterns');
+    });
+
+    it('sets milestones by ID or number, and warns when the forge has none', async () => {
+        const github = stubFetch((url) =>
+            url.includes('/milestones') ? [{ number: 4, title: 'v1.2.0' }] : { html_url: 'https://github.com/o/r/pull/5', number: 5, state: 'open' },
+        );
+        await createPrProvider({ via: 'api' }, { remoteUrl: 'git@github.com:o/r.git', env: { GITHUB_TOKEN: 't' }, fetchFn: github.fetchFn })
+            .createPullRequest({ ...REQUEST, labels: [], reviewers: [], assignees: [], milestone: 'v1.2.0' });
+        assert.deepEqual(github.calls.at(-1), {
+            url: 'https://api.github.com/repos/o/r/issues/5',
+            method: 'PATCH',
+            body: { milestone: 4 },
+            headers: github.calls.at(-1).headers,
+        });
+
+        const gitlab = stubFetch((url) => (url.includes('/milestones?title=v1.2.0') ? [{ id: 31 }] : { web_url: 'u', iid: 3 }));
+        await createPrProvider({ via: 'api' }, { remoteUrl: 'git@gitlab.com:o/r.git', env: { GITLAB_TOKEN: 't' }, fetchFn: gitlab.fetchFn })
+            .createPullRequest({ base: 'main', head: 'release/1.2.0', title: 't', body: 'b', milestone: 'v1.2.0' });
+        assert.equal(gitlab.calls.at(-1).body.milestone_id, 31);
+
+        const gitea = stubFetch((url) => (url.includes('/milestones') ? [] : { html_url: 'u', number: 8 }));
+        const pr = await createPrProvider({}, { remoteUrl: 'https://codeberg.org/o/r.git', env: { GITEA_TOKEN: 't' }, fetchFn: gitea.fetchFn })
+            .createPullRequest({ base: 'main', head: 'release/1.2.0', title: 't', body: 'b', milestone: 'v1.2.0' });
+        assert.deepEqual(pr.warnings, ['unknown Gitea milestone "v1.2.0"']);
+
+        const bitbucket = stubFetch(() => ({ id: 9 }));
+        const bb = await createPrProvider({}, { remoteUrl: 'git@bitbucket.org:ws/app.git', env: { BITBUCKET_TOKEN: 't' }, fetchFn: bitbucket.fetchFn })
+            .createPullRequest({ base: 'main', head: 'release/1.2.0', title: 't', body: 'b', milestone: 'v1.2.0' });
+        assert.deepEqual(bb.warnings, ['Bitbucket pull requests have no milestones']);
+    });
+});
+
+describe('Release PR metadata (CLI)', () => {
+    let tmpDir;
+    let repo;
+    let env;
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'pr-metadata-test-'));
+        repo = join(tmpDir, 'repo');
+        const origin = join(tmpDir, 'origin.git');
+        const binDir = join(tmpDir, 'bin');
+        await mkdir(join(repo, '.github'), { recursive: true });
+        await mkdir(binDir);
+
+        // Fake gh: records its arguments and the body file, prints a PR URL
+        await writeFile(
+            join(binDir, 'gh'),
+            `#!/bin/sh\nif [ "$1" = "pr" ]; then printf '%s\\n' "$@" > "${tmpDir}/gh-args"; cp RELEASE_CHANGELOG.md "${tmpDir}/gh-body"; echo "https://github.com/acme/app/pull/42"; fi\nexit 0\n`,
+        );
+        await chmod(join(binDir, 'gh'), 0o755);
+        env = { ...process.env, PATH: `${binDir}:${process.env.PATH}` };
+
+        const git = (args, cwd = repo) => exec('git', args, { cwd });
+        await git(['init', '--bare', '-b', 'main', origin], tmpDir);
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await git(['remote', 'add', 'origin', origin]);
+        await writeFile(join(repo, 'package.json'), '{"version":"1.0.0"}\n');
+        await writeFile(join(repo, '.github', 'pull_request_template.md'), `## Changes\n${CHANGELOG_MARKER}\n\n## Checklist\n- [ ] QA sign-off\n`);
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['push', 'origin', 'main']);
+        await git(['checkout', '-b', 'dev']);
+        await writeFile(join(repo, 'search.txt'), 'x');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'feat: search']);
+
+        await writeFile(
+            join(repo, '.cherrypickrc.json'),
+            JSON.stringify({
+                profiles: {
+                    release: {
+                        'pr-title': 'chore(release): v{{version}}',
+                        'pr-labels': 'release,automated',
+                        'pr-reviewers': 'acme/release-owners',
+                        'pr-milestone': 'v{{version}}',
+                    },
+                },
+            }),
+        );
+        // Keep the rc file out of the release branch
+        await writeFile(join(repo, '.git', 'info', 'exclude'), '.cherrypickrc.json\n');
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('--dry-run shows the PR title and metadata from the profile', async () => {
+        const { stdout } = await exec(
+            'node',
+            [CLI, '--profile', 'release', '--no-fetch', '--dev', 'dev', '--main', 'main', '--all-yes', '--dry-run'],
+            { cwd: repo, timeout: 10000, env },
+        );
+        assert.ok(stdout.includes('--dry-run: would open the release PR on github:'), stdout);
+        assert.ok(stdout.includes('- title: chore(release): v1.1.0'), stdout);
+        assert.ok(stdout.includes('- labels: release, automated'), stdout);
+        assert.ok(stdout.includes('- milestone: v1.1.0'), stdout);
+        assert.ok(stdout.includes('- description: changelog merged into .github/pull_request_template.md'), stdout);
+    });
+
+    it('passes the metadata to the provider and fills the PR template', async () => {
+        await exec('node', [CLI, '--profile', 'release', '--no-fetch', '--dev', 'dev', '--main', 'main', '--ci'], {
+            cwd: repo,
+            timeout: 20000,
+            env,
+        });
+        const args = (await readFile(join(tmpDir, 'gh-args'), 'utf8')).trim().split('\n');
+        const flag = (name) => args.flatMap((a, i) => (a === name ? [args[i + 1]] : []));
+        assert.deepEqual(flag('--title'), ['chore(release): v1.1.0']);
+        assert.deepEqual(flag('--label'), ['release', 'automated']);
+        assert.deepEqual(flag('--reviewer'), ['acme/release-owners']);
+        assert.deepEqual(flag('--milestone'), ['v1.1.0']);
+
+        const body = await readFile(join(tmpDir, 'gh-body'), 'utf8');
+        assert.match(body, /^## Changes\n## Release 1\.1\.0/);
+        assert.ok(body.includes('feat: search'), body);
+        assert.ok(body.endsWith('## Checklist\n- [ ] QA sign-off\n'), body);
+    });
+});
+
+describe('PR providers (CLI)', () => {
+    let tmpDir;
+    let repo;
+    let server;
+    let requests;
+    let apiUrl;
+
+    before(async () => {
+        requests = [];
+        server = createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+                res.setHeader('Content-Type', 'application/json');
+                if (req.url.startsWith('/api/v4/users')) {
+                    res.end(JSON.stringify([{ id: 11 }]));
+                } else {
+                    res.statusCode = 201;
+                    res.end(JSON.stringify({ web_url: 'https://gitlab.corp/team/app/-/merge_requests/3', iid: 3 }));
+                }
+            });
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        apiUrl = `http://127.0.0.1:${server.address().port}/api/v4`;
+
+        tmpDir = await mkdtemp(join(tmpdir(), 'pr-providers-test-'));
+        repo = join(tmpDir, 'repo');
+        const origin = join(tmpDir, 'origin.git');
+        await mkdir(repo);
+        const git = (args, cwd = repo) => exec('git', args, { cwd });
+        await git(['init', '--bare', '-b', 'main', origin], tmpDir);
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await git(['remote', 'add', 'origin', origin]);
+        await writeFile(join(repo, 'package.json'), '{"version":"1.0.0"}\n');
+        await writeFile(
+            join(repo, '.cherrypickrc.json'),
+            JSON.stringify({ pr: { provider: 'gitlab', via: 'api', apiUrl, repo: 'team/app', labels: ['release'], reviewers: ['alice'] } }),
+        );
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['push', 'origin', 'main']);
+        await git(['checkout', '-b', 'dev']);
+        await writeFile(join(repo, 'search.txt'), 'x');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'feat: search']);
+    });
+
+    after(async () => {
+        server.close();
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('--ci exits with code 3 when the provider has no token', async () => {
+        const { GITLAB_TOKEN, ...env } = process.env;
+        await assert.rejects(
+            exec('node', [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--ci'], { cwd: repo, timeout: 10000, env }),
+            (e) => e.code === 3 && e.stderr.includes('The gitlab API needs GITLAB_TOKEN in the environment.'),
+        );
+        assert.equal(requests.length, 0);
+    });
+
+    it('opens a GitLab merge request through the API', async () => {
+        const { stdout } = await exec('node', [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--ci'], {
+            cwd: repo,
+            timeout: 20000,
+            env: { ...process.env, GITLAB_TOKEN: 'tok' },
+        });
+        assert.ok(stdout.includes('Opening the release pull request on gitlab (api)'), stdout);
+        assert.ok(stdout.includes('✓ Opened PR #3 (open): https://gitlab.corp/team/app/-/merge_requests/3'), stdout);
+        const create = requests.find((r) => r.method === 'POST');
+        assert.equal(create.url, '/api/v4/projects/team%2Fapp/merge_requests');
+        assert.equal(create.body.source_branch, 'release/1.1.0');
+        assert.equal(create.body.title, 'Release 1.1.0');
+        assert.equal(create.body.labels, 'release');
+        assert.deepEqual(create.body.reviewer_ids, [11]);
+        assert.ok(create.body.description.includes('search'));
+    });
+});
@@ -0,0 +1,92 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { nextPrereleaseVersion, promoteVersion } from '../src/prerelease.js';
+
+const exec = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, '..', 'cli.js');
+
+describe('Prerelease versioning', () => {
+    it('--help shows --prerelease and --promote', async () => {
+        const { stdout } = await exec('node', [CLI, '--help']);
+        assert.ok(stdout.includes('--prerelease'), 'should show --prerelease flag');
+        assert.ok(stdout.includes('--promote'), 'should show --promote flag');
+    });
+
+    it('starts a new rc line from a stable version', () => {
+        assert.equal(nextPrereleaseVersion('1.8.0', 'minor', 'rc'), '1.9.0-rc.1');
+        assert.equal(nextPrereleaseVersion('1.8.0', 'major', 'beta'), '2.0.0-beta.1');
+        assert.equal(nextPrereleaseVersion('1.8.0', null, 'rc'), '1.8.0', 'nothing to release');
+    });
+
+    it('continues the counter after existing release branches and tags', () => {
+        assert.equal(nextPrereleaseVersion('1.8.0', 'minor', 'rc', ['1.9.0-rc.1', '1.9.0-rc.2', '1.8.0']), '1.9.0-rc.3');
+        assert.equal(nextPrereleaseVersion('1.8.0', 'minor', 'rc', ['1.9.0-beta.7', '2.0.0-rc.4']), '1.9.0-rc.1');
+    });
+
+    it('stays on the rc line unless the bump outgrows it', () => {
+        assert.equal(nextPrereleaseVersion('1.9.0-rc.1', 'minor', 'rc'), '1.9.0-rc.2');
+        assert.equal(nextPrereleaseVersion('1.9.0-rc.1', null, 'rc'), '1.9.0-rc.2');
+        assert.equal(nextPrereleaseVersion('1.9.0-rc.3', 'major', 'rc'), '2.0.0-rc.1');
+    });
+
+    it('promotes an rc to its final version', () => {
+        assert.equal(promoteVersion('1.9.0-rc.2', null), '1.9.0');
+        assert.equal(promoteVersion('1.9.0-rc.2', 'patch'), '1.9.0');
+        assert.throws(() => promoteVersion('1.9.0', null), /already final/);
+    });
+
+    it('rejects invalid identifiers and versions', () => {
+        assert.throws(() => nextPrereleaseVersion('1.8.0', 'minor', 'rc.1'), /Invalid --prerelease identifier/);
+        assert.throws(() => nextPrereleaseVersion('1.8', 'minor', 'rc'), /Invalid version/);
+    });
+});
+
+describe('Prerelease versioning (CLI)', () => {
+    let tmpDir;
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'prerelease-test-'));
+        const git = (args) => exec('git', args, { cwd: tmpDir });
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await writeFile(join(tmpDir, 'package.json'), '{"version":"1.8.0"}\n');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['branch', 'release/1.9.0-rc.1']);
+        await git(['checkout', '-b', 'dev']);
+        await writeFile(join(tmpDir, 'a.txt'), 'a');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'feat: add a']);
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    const run = async (args) => {
+        const { stdout } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--all-yes', '--dry-run', '--push-release=false', ...args],
+            { cwd: tmpDir, timeout: 10000 },
+        );
+        return stdout;
+    };
+
+    it('--prerelease rc increments past an existing release branch', async () => {
+        const stdout = await run(['--prerelease', 'rc']);
+        assert.ok(stdout.includes('Previous: 1.8.0 → Next: 1.9.0-rc.2'), stdout);
+    });
+
+    it('--promote finalises an rc current version', async () => {
+        const stdout = await run(['--current-version', '1.9.0-rc.2', '--promote']);
+        assert.ok(stdout.includes('Previous: 1.9.0-rc.2 → Next: 1.9.0'), stdout);
+    });
+});
@@ -89,6 +89,21 @@ describe('Profiles', () => {
         assert.equal(saved.version, undefined, 'version should not be persisted');
     });
 
+    it('--save-profile keeps release PR flags', async () => {
+        await runCli([
+            '--save-profile', 'pr-profile',
+            '--pr-title', 'chore(release): v{{version}}',
+            '--pr-labels', 'release',
+            '--pr-milestone', 'v{{version}}',
+        ], tmpDir);
+
+        const config = JSON.parse(await readFile(join(tmpDir, '.cherrypickrc.json'), 'utf8'));
+        const saved = config.profiles['pr-profile'];
+        assert.equal(saved['pr-title'], 'chore(release): v{{version}}');
+        assert.equal(saved['pr-labels'], 'release');
+        assert.equal(saved['pr-milestone'], 'v{{version}}');
+    });
+
     it('--list-profiles shows saved profiles', async () => {
         const { stdout } = await runCli(['--list-profiles'], tmpDir);
         assert.ok(stdout.includes('test-profile'), 'should list test-profile');
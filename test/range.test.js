@@ -0,0 +1,81 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { mkdtemp, rm, writeFile, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+
+const exec = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, '..', 'cli.js');
+
+async function runCli(args, cwd) {
+    try {
+        const { stdout, stderr } = await exec('node', [CLI, ...args], { cwd, timeout: 10000 });
+        return { stdout, stderr, code: 0 };
+    } catch (e) {
+        return { stdout: e.stdout || '', stderr: e.stderr || '', code: e.code || 1 };
+    }
+}
+
+const DRY_RUN = ['--no-fetch', '--dev', 'dev', '--main', 'main', '--all-yes', '--dry-run', '--push-release=false'];
+
+describe('Commit range selection', () => {
+    let tmpDir;
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'range-test-'));
+        const git = (args) => exec('git', args, { cwd: tmpDir });
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await writeFile(join(tmpDir, 'package.json'), '{"version":"1.0.0"}\n');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['tag', 'v1.0.0']);
+        await git(['checkout', '-b', 'dev']);
+        for (const name of ['one', 'two', 'three']) {
+            await writeFile(join(tmpDir, `${name}.txt`), name);
+            await git(['add', '.']);
+            await git(['commit', '-m', `feat: ${name}`]);
+        }
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('--help shows --from and --to', async () => {
+        const { stdout } = await exec('node', [CLI, '--help']);
+        assert.ok(stdout.includes('--from'), 'should show --from flag');
+        assert.ok(stdout.includes('--to'), 'should show --to flag');
+        assert.ok(stdout.includes('last-release'), 'should mention last-release');
+    });
+
+    it('--from last-release resolves the newest v* tag on main', async () => {
+        const { stdout } = await runCli([...DRY_RUN, '--from', 'last-release'], tmpDir);
+        assert.ok(stdout.includes('Comparing commits v1.0.0..dev'), 'should log the resolved range');
+        assert.ok(stdout.includes('feat: one') && stdout.includes('feat: three'), 'should list the whole range');
+    });
+
+    it('--from/--to limit the range to the given revisions', async () => {
+        const { stdout } = await runCli([...DRY_RUN, '--from', 'dev~2', '--to', 'dev~1'], tmpDir);
+        const picks = stdout.split('would cherry-pick')[1] || '';
+        assert.ok(picks.includes('feat: two'), 'should include the commit inside the range');
+        assert.ok(!picks.includes('feat: one'), 'should exclude the --from commit itself');
+        assert.ok(!picks.includes('feat: three'), 'should exclude commits after --to');
+    });
+
+    it('unknown revision fails with a clear error', async () => {
+        const { stderr, code } = await runCli([...DRY_RUN, '--from', 'does-not-exist'], tmpDir);
+        assert.notEqual(code, 0);
+        assert.ok(stderr.includes('Unknown revision "does-not-exist"'), 'should name the bad revision');
+    });
+
+    it('TUI header shows the resolved range', async () => {
+        const source = await readFile(join(__dirname, '..', 'src', 'tui', 'Header.js'), 'utf8');
+        assert.ok(source.includes('Range: ${range}'), 'header should render the range');
+    });
+});
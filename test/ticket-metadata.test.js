@@ -0,0 +1,202 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { createMetadataSource, lookupTicketMetadata } from '../src/ticket-metadata.js';
+import { createTrackers, linkifyTickets, ticketKey } from '../src/trackers.js';
+
+const exec = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, '..', 'cli.js');
+
+/** Stub fetch: records requests and answers from `routes` (url → body, or a status number). */
+function stubFetch(routes) {
+    const calls = [];
+    const fetchFn = async (url, init = {}) => {
+        calls.push({ url, init });
+        const route = typeof routes === 'function' ? routes(url, init) : routes[url];
+        if (route === undefined || typeof route === 'number') {
+            const status = route ?? 404;
+            return { ok: false, status, statusText: 'Error', json: async () => ({}) };
+        }
+        return { ok: true, status: 200, json: async () => route };
+    };
+    return { fetchFn, calls };
+}
+
+describe('Ticket metadata sources', () => {
+    it('jira reads summary, status and type, with basic auth when JIRA_EMAIL is set', async () => {
+        const { fetchFn, calls } = stubFetch({
+            'https://team.atlassian.net/rest/api/2/issue/PROJ-1?fields=summary,status,issuetype': {
+                fields: { summary: 'Fix login redirect', status: { name: 'Done' }, issuetype: { name: 'Bug' } },
+            },
+        });
+        const source = createMetadataSource('jira', {
+            env: { JIRA_API_TOKEN: 'tok', JIRA_EMAIL: 'me@x.dev' },
+            fetchFn,
+            trackerUrl: 'https://team.atlassian.net/browse/{{id}}',
+        });
+        const found = await source.lookup(['PROJ-1', 'PROJ-404']);
+        assert.deepEqual(found.get('PROJ-1'), { title: 'Fix login redirect', status: 'Done', type: 'Bug' });
+        assert.equal(found.get('PROJ-404'), null, 'a 404 means the ticket does not exist');
+        assert.equal(calls[0].init.headers.Authorization, `Basic ${Buffer.from('me@x.dev:tok').toString('base64')}`);
+    });
+
+    it('linear resolves all identifiers in one GraphQL request', async () => {
+        const { fetchFn, calls } = stubFetch(() => ({
+            data: { t0: { title: 'Add auth', state: { name: 'In Progress' } }, t1: null },
+        }));
+        const source = createMetadataSource({ source: 'linear' }, { env: { LINEAR_API_KEY: 'lin' }, fetchFn });
+        const found = await source.lookup(['ENG-1', 'ENG-2']);
+        assert.deepEqual(found.get('ENG-1'), { title: 'Add auth', status: 'In Progress', type: null });
+        assert.equal(found.get('ENG-2'), null);
+        assert.equal(calls.length, 1);
+        assert.match(JSON.parse(calls[0].init.body).query, /t0: issue\(id: "ENG-1"\).*t1: issue\(id: "ENG-2"\)/);
+    });
+
+    it('clickup reads the task name and status', async () => {
+        const { fetchFn, calls } = stubFetch({
+            'https://api.clickup.com/api/v2/task/86c8w62wx': { name: 'Upgrade apk packages', status: { status: 'complete' } },
+        });
+        const source = createMetadataSource('clickup', { env: { CLICKUP_API_TOKEN: 'cu' }, fetchFn });
+        const found = await source.lookup(['86c8w62wx']);
+        assert.deepEqual(found.get('86c8w62wx'), { title: 'Upgrade apk packages', status: 'complete', type: null });
+        assert.equal(calls[0].init.headers.Authorization, 'cu');
+    });
+
+    it('gives up on a tracker that does not answer', async () => {
+        // Never answers; only the abort signal ends the request (the open socket stands in as `pending`)
+        const fetchFn = (url, init) =>
+            new Promise((resolve, reject) => {
+                const pending = setTimeout(resolve, 10000);
+                init.signal.addEventListener('abort', () => {
+                    clearTimeout(pending);
+                    reject(init.signal.reason);
+                });
+            });
+        const source = createMetadataSource('clickup', { env: { CLICKUP_API_TOKEN: 't' }, fetchFn, timeoutMs: 20 });
+        const { metadata, error } = await lookupTicketMetadata(source, ['abc123']);
+        assert.equal(metadata.size, 0);
+        assert.equal(error.message, 'https://api.clickup.com did not answer within 0.02s');
+    });
+
+    it('rejects unknown sources and missing tokens', () => {
+        assert.throws(() => createMetadataSource('trello'), /Unknown ticket metadata source "trello"/);
+        assert.throws(() => createMetadataSource('linear', { env: {} }), /needs LINEAR_API_KEY in the environment/);
+        assert.throws(() => createMetadataSource({ source: 'file' }), /needs a "path"/);
+    });
+});
+
+describe('Ticket metadata cache', () => {
+    let tmpDir;
+    let cachePath;
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'ticket-cache-test-'));
+        cachePath = join(tmpDir, 'cache', 'tickets.json');
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('serves fresh entries from disk and refetches stale ones', async () => {
+        let fail = false;
+        let lookups = 0;
+        const source = {
+            key: 'test',
+            cacheHours: 1,
+            async lookup(ids) {
+                lookups++;
+                if (fail) throw new Error('offline');
+                return new Map(ids.map((id) => [id, { title: `title ${id}`, status: null, type: null }]));
+            },
+        };
+        const now = Date.UTC(2026, 0, 1);
+
+        await lookupTicketMetadata(source, ['A-1'], { cachePath, now });
+        const cached = JSON.parse(await readFile(cachePath, 'utf8'));
+        assert.equal(cached.test['A-1'].data.title, 'title A-1');
+
+        const hit = await lookupTicketMetadata(source, ['A-1'], { cachePath, now: now + 1000 });
+        assert.equal(lookups, 1, 'a fresh entry is not fetched again');
+        assert.equal(hit.metadata.get('A-1').title, 'title A-1');
+
+        fail = true;
+        const offline = await lookupTicketMetadata(source, ['A-1', 'A-2'], { cachePath, now: now + 2 * 60 * 60 * 1000 });
+        assert.equal(offline.error.message, 'offline');
+        assert.equal(offline.metadata.get('A-1').title, 'title A-1', 'stale entries are used when the source fails');
+        assert.equal(offline.metadata.has('A-2'), false);
+    });
+
+    it('still returns fetched metadata when the cache cannot be written', async () => {
+        // A file where the cache directory should be makes mkdir fail
+        await writeFile(join(tmpDir, 'blocked'), '');
+        const source = {
+            key: 'test',
+            cacheHours: 1,
+            lookup: async (ids) => new Map(ids.map((id) => [id, { title: `title ${id}`, status: null, type: null }])),
+        };
+        const result = await lookupTicketMetadata(source, ['B-1'], { cachePath: join(tmpDir, 'blocked', 'tickets.json') });
+        assert.equal(result.error, null);
+        assert.ok(result.cacheError instanceof Error);
+        assert.equal(result.metadata.get('B-1').title, 'title B-1');
+    });
+
+    it('linkifyTickets puts known titles in the link text', () => {
+        const trackers = createTrackers([{ tracker: 'jira', 'tracker-url': 'https://j/{{id}}' }]);
+        const metadata = new Map([[ticketKey('jira', 'PROJ-1'), { title: 'Fix [login]', status: 'Done', type: 'Bug' }]]);
+        const { subject, tickets } = linkifyTickets('fix: PROJ-1 PROJ-2', trackers, metadata);
+        assert.equal(subject, 'fix: [PROJ-1: Fix \\[login\\]](https://j/PROJ-1) [PROJ-2](https://j/PROJ-2)');
+        assert.equal(tickets[0].status, 'Done');
+    });
+});
+
+describe('Ticket metadata (CLI)', () => {
+    let tmpDir;
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'ticket-metadata-test-'));
+        const git = (args) => exec('git', args, { cwd: tmpDir });
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await writeFile(join(tmpDir, 'package.json'), '{"version":"1.0.0"}\n');
+        await writeFile(
+            join(tmpDir, '.cherrypickrc.json'),
+            JSON.stringify({
+                tracker: {
+                    tracker: 'jira',
+                    'tracker-url': 'https://team.atlassian.net/browse/{{id}}',
+                    metadata: { source: 'file', path: 'tickets.json' },
+                },
+            }),
+        );
+        await writeFile(join(tmpDir, 'tickets.json'), JSON.stringify({ 'PROJ-1': { title: 'Search page', status: 'Done' } }));
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['checkout', '-b', 'dev']);
+        await writeFile(join(tmpDir, 'search.txt'), 'x');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'feat: PROJ-1 search']);
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('renders ticket titles from the file source', async () => {
+        const { stdout } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--all-yes', '--dry-run', '--push-release=false', '--group-by-ticket'],
+            { cwd: tmpDir, timeout: 10000 },
+        );
+        assert.ok(stdout.includes('Ticket metadata: 1 of 1 tickets resolved.'), stdout);
+        assert.ok(stdout.includes('### [PROJ-1: Search page](https://team.atlassian.net/browse/PROJ-1)'), stdout);
+        assert.match(stdout, /\w{7} feat: \[PROJ-1: Search page\]\(https:\/\/team\.atlassian\.net\/browse\/PROJ-1\) search/);
+    });
+});
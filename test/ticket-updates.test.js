@@ -0,0 +1,205 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { createServer } from 'node:http';
+import { promisify } from 'node:util';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { chmod, mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { createMetadataSource } from '../src/ticket-metadata.js';
+import { DEFAULT_RELEASE_COMMENT, applyTicketUpdates, planTicketUpdates } from '../src/ticket-updates.js';
+
+const exec = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, '..', 'cli.js');
+
+/** Local Jira stand-in: records every request, offers one transition to "Released". */
+function startJiraStub() {
+    const requests = [];
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null, auth: req.headers.authorization });
+            res.setHeader('Content-Type', 'application/json');
+            if (req.method === 'GET' && req.url.endsWith('/transitions')) {
+                res.end(JSON.stringify({ transitions: [{ id: '11', to: { name: 'In Review' } }, { id: '31', to: { name: 'Released' } }] }));
+            } else if (req.url.includes('PROJ-404')) {
+                res.statusCode = 404;
+                res.end('{}');
+            } else {
+                res.statusCode = req.method === 'POST' && req.url.endsWith('/transitions') ? 204 : 201;
+                res.end(res.statusCode === 204 ? '' : '{}');
+            }
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` }));
+    });
+}
+
+describe('Post-release ticket updates', () => {
+    const trackers = [
+        { name: 'jira', release: { status: 'Released' } },
+        { name: 'github', release: { comment: false, status: 'closed' } },
+        { name: 'linear', release: null },
+    ];
+
+    it('plans one update per ticket of trackers with a release config', () => {
+        const plan = planTicketUpdates(
+            [
+                { tracker: 'jira', id: 'PROJ-1' },
+                { tracker: 'linear', id: 'ENG-1' },
+                { tracker: 'jira', id: 'PROJ-1' },
+                { tracker: 'github', id: '7' },
+            ],
+            trackers,
+            { version: '1.9.0', prUrl: 'https://github.com/acme/app/pull/42' },
+        );
+        assert.deepEqual(plan, [
+            { tracker: 'jira', id: 'PROJ-1', comment: 'Included in release 1.9.0 — https://github.com/acme/app/pull/42', status: 'Released' },
+            { tracker: 'github', id: '7', comment: null, status: 'closed' },
+        ]);
+        assert.ok(DEFAULT_RELEASE_COMMENT.includes('{{version}}'));
+    });
+
+    it('renders custom comments and drops the PR link when there is none', () => {
+        const [custom] = planTicketUpdates(
+            [{ tracker: 'jira', id: 'PROJ-1', title: 'Search page' }],
+            [{ name: 'jira', release: { comment: '{{id}} ({{title}}) ships in {{version}}' } }],
+            { version: '1.9.0' },
+        );
+        assert.equal(custom.comment, 'PROJ-1 (Search page) ships in 1.9.0');
+        const [plain] = planTicketUpdates([{ tracker: 'jira', id: 'PROJ-1' }], [{ name: 'jira', release: {} }], { version: '1.9.0' });
+        assert.equal(plain.comment, 'Included in release 1.9.0');
+    });
+
+    it('keeps going when one ticket fails', async () => {
+        const calls = [];
+        const source = {
+            comment: async (id) => {
+                if (id === 'BAD-1') throw new Error('boom');
+                calls.push(id);
+            },
+            transition: async () => {},
+        };
+        const results = await applyTicketUpdates(
+            [
+                { tracker: 'jira', id: 'BAD-1', comment: 'x', status: null },
+                { tracker: 'jira', id: 'PROJ-2', comment: 'x', status: 'Done' },
+                { tracker: 'file', id: 'F-1', comment: 'x', status: null },
+            ],
+            (name) => (name === 'file' ? createMetadataSource({ source: 'file', path: 'x.json' }) : source),
+        );
+        assert.deepEqual(results, [
+            { tracker: 'jira', id: 'BAD-1', commented: false, moved: false, error: 'boom' },
+            { tracker: 'jira', id: 'PROJ-2', commented: true, moved: true, error: null },
+            { tracker: 'file', id: 'F-1', commented: false, moved: false, error: 'this source cannot update tickets' },
+        ]);
+        assert.deepEqual(calls, ['PROJ-2']);
+    });
+
+    it('jira comments and transitions through the REST API', async () => {
+        const { server, requests, baseUrl } = await startJiraStub();
+        try {
+            const jira = createMetadataSource({ source: 'jira', baseUrl }, { env: { JIRA_API_TOKEN: 'tok' } });
+            await jira.comment('PROJ-1', 'Included in release 1.9.0');
+            await jira.transition('PROJ-1', 'released');
+            await assert.rejects(jira.transition('PROJ-1', 'Archived'), /no transition to "Archived"/);
+            await assert.rejects(jira.comment('PROJ-404', 'x'), /Jira API responded 404/);
+
+            assert.deepEqual(requests.slice(0, 3).map((r) => [r.method, r.url, r.body]), [
+                ['POST', '/rest/api/2/issue/PROJ-1/comment', { body: 'Included in release 1.9.0' }],
+                ['GET', '/rest/api/2/issue/PROJ-1/transitions', null],
+                ['POST', '/rest/api/2/issue/PROJ-1/transitions', { transition: { id: '31' } }],
+            ]);
+            assert.equal(requests[0].auth, 'Bearer tok');
+        } finally {
+            server.close();
+        }
+    });
+});
+
+describe('Post-release ticket updates (CLI)', () => {
+    let tmpDir;
+    let repo;
+    let stub;
+    let env;
+
+    before(async () => {
+        stub = await startJiraStub();
+        tmpDir = await mkdtemp(join(tmpdir(), 'ticket-updates-test-'));
+        repo = join(tmpDir, 'repo');
+        const origin = join(tmpDir, 'origin.git');
+        const binDir = join(tmpDir, 'bin');
+        await mkdir(repo);
+        await mkdir(binDir);
+
+        // Fake gh: answers --version and prints a PR URL like `gh pr create` does
+        await writeFile(
+            join(binDir, 'gh'),
+            '#!/bin/sh\nif [ "$1" = "pr" ]; then echo "https://github.com/acme/app/pull/42"; fi\nexit 0\n',
+        );
+        await chmod(join(binDir, 'gh'), 0o755);
+        env = { ...process.env, PATH: `${binDir}:${process.env.PATH}`, JIRA_API_TOKEN: 'tok' };
+
+        const git = (args, cwd = repo) => exec('git', args, { cwd });
+        await git(['init', '--bare', '-b', 'main', origin], tmpDir);
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await git(['remote', 'add', 'origin', origin]);
+        await writeFile(join(repo, 'package.json'), '{"version":"1.0.0"}\n');
+        await writeFile(
+            join(repo, '.cherrypickrc.json'),
+            JSON.stringify({
+                tracker: {
+                    tracker: 'jira',
+                    'tracker-url': 'https://team.atlassian.net/browse/{{id}}',
+                    metadata: { source: 'jira', baseUrl: stub.baseUrl },
+                    release: { status: 'Released' },
+                },
+            }),
+        );
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['push', 'origin', 'main']);
+        await git(['checkout', '-b', 'dev']);
+        await writeFile(join(repo, 'search.txt'), 'x');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'feat: PROJ-1 search']);
+    });
+
+    after(async () => {
+        stub.server.close();
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('--dry-run previews the ticket updates without changing the tickets', async () => {
+        const { stdout } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--ci', '--dry-run'],
+            { cwd: repo, timeout: 10000, env },
+        );
+        assert.ok(stdout.includes('--dry-run: would update tickets after creating the release PR:'), stdout);
+        assert.ok(stdout.includes('- PROJ-1 (jira): comment "Included in release 1.1.0 — <release PR URL>", move to "Released"'), stdout);
+        assert.equal(stub.requests.filter((r) => r.method === 'POST').length, 0, 'only metadata lookups reach the tracker');
+    });
+
+    it('comments with the PR link and moves the ticket after creating the PR', async () => {
+        const { stdout } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--ci', '--format', 'json'],
+            { cwd: repo, timeout: 20000, env },
+        );
+        const writes = stub.requests.filter((r) => r.method === 'POST');
+        assert.deepEqual(writes.map((r) => [r.url, r.body]), [
+            ['/rest/api/2/issue/PROJ-1/comment', { body: 'Included in release 1.1.0 — https://github.com/acme/app/pull/42' }],
+            ['/rest/api/2/issue/PROJ-1/transitions', { transition: { id: '31' } }],
+        ]);
+        const result = JSON.parse(stdout);
+        assert.deepEqual(result.pr, { url: 'https://github.com/acme/app/pull/42', number: 42, state: 'open', draft: false });
+        assert.deepEqual(result.tickets, [{ tracker: 'jira', id: 'PROJ-1', commented: true, moved: true, error: null }]);
+    });
+});
@@ -1,9 +1,14 @@
-import { describe, it } from 'node:test';
+import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert/strict';
 import { execFile } from 'node:child_process';
 import { promisify } from 'node:util';
 import { join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { groupByTicket } from '../src/changelog.js';
+import { isPullRequestRef } from '../src/forge.js';
+import { TRACKER_PRESETS, createTrackers, linkifyTickets } from '../src/trackers.js';
 
 const exec = promisify(execFile);
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -31,23 +36,20 @@ describe('Tracker Integration', () => {
 // Since cli.js is a script with side effects, we test the logic via CLI output.
 
 describe('linkifyTicket logic (via integration)', () => {
-    it('ClickUp: links first match only, skips PR number', () => {
-        // Simulate what linkifyTicket does
-        const subject = '#86c8w62wx - Upgrade apk packages (#585)';
-        const pattern = /#([a-z0-9]+)/;
-        const url = 'https://app.clickup.com/t/{{id}}';
-
-        const match = pattern.exec(subject);
-        assert.ok(match, 'should match');
-        assert.equal(match[0], '#86c8w62wx');
-        assert.equal(match[1], '86c8w62wx');
-
-        const link = url.replace('{{id}}', match[1]);
-        const result = subject.replace(match[0], `[${match[0]}](${link})`);
+    it('ClickUp: links the task ID, skips PR number', () => {
+        const [clickup] = createTrackers([{ tracker: 'clickup', 'tracker-url': 'https://app.clickup.com/t/{{id}}' }]);
+        const { subject, tickets } = linkifyTickets('#86c8w62wx - Upgrade apk packages (#585)', [clickup], null, { skip: isPullRequestRef });
         assert.equal(
-            result,
+            subject,
             '[#86c8w62wx](https://app.clickup.com/t/86c8w62wx) - Upgrade apk packages (#585)',
         );
+        assert.deepEqual(tickets.map((t) => t.id), ['86c8w62wx']);
+    });
+
+    it('ClickUp: links all-digit task IDs when nothing is skipped', () => {
+        const [clickup] = createTrackers([{ tracker: 'clickup', 'tracker-url': 'https://app.clickup.com/t/{{id}}' }]);
+        const { subject } = linkifyTickets('#12345 - Upgrade apk packages', [clickup]);
+        assert.equal(subject, '[#12345](https://app.clickup.com/t/12345) - Upgrade apk packages');
     });
 
     it('Jira: links ticket ID', () => {
@@ -117,13 +119,8 @@ describe('linkifyTicket logic (via integration)', () => {
 
     it('preset patterns are safe', async () => {
         const { default: isSafeRegex } = await import('safe-regex2');
-        const presets = {
-            clickup: '#([a-z0-9]+)',
-            jira: '([A-Z]+-\\d+)',
-            linear: '\\[([A-Z]+-\\d+)\\]',
-        };
 
-        for (const [name, pattern] of Object.entries(presets)) {
+        for (const [name, pattern] of Object.entries(TRACKER_PRESETS)) {
             const compiled = new RegExp(pattern);
             assert.ok(isSafeRegex(compiled), `${name} preset should be safe`);
 
@@ -133,3 +130,157 @@ describe('linkifyTicket logic (via integration)', () => {
         }
     });
 });
+
+describe('Multiple trackers', () => {
+    const trackers = createTrackers([
+        { tracker: 'jira', 'tracker-url': 'https://team.atlassian.net/browse/{{id}}' },
+        { name: 'github', 'ticket-pattern': 'gh-(\\d+)', 'tracker-url': 'https://github.com/acme/app/issues/{{id}}' },
+    ]);
+
+    it('links every match of every tracker', () => {
+        const { subject, tickets } = linkifyTickets('PROJ-1 PROJ-2: fix login (gh-7)', trackers);
+        assert.equal(
+            subject,
+            '[PROJ-1](https://team.atlassian.net/browse/PROJ-1) [PROJ-2](https://team.atlassian.net/browse/PROJ-2): fix login ([gh-7](https://github.com/acme/app/issues/7))',
+        );
+        assert.deepEqual(tickets.map((t) => `${t.tracker}:${t.id}`), ['jira:PROJ-1', 'jira:PROJ-2', 'github:7']);
+    });
+
+    it('overlapping matches go to the match starting first, then the earlier tracker', () => {
+        const overlapping = createTrackers([
+            { name: 'jira', 'ticket-pattern': '([A-Z]+-\\d+)', 'tracker-url': 'https://j/{{id}}' },
+            { name: 'linear', tracker: 'linear', 'tracker-url': 'https://l/{{id}}' },
+        ]);
+        const { subject } = linkifyTickets('feat: x [ENG-4]', overlapping);
+        assert.equal(subject, 'feat: x [[ENG-4]](https://l/ENG-4)');
+        assert.equal(linkifyTickets('ENG-4', overlapping).subject, '[ENG-4](https://j/ENG-4)');
+    });
+
+    it('names defaults from the preset or URL host and reports the failing entry', () => {
+        const [a, b] = createTrackers([
+            { tracker: 'jira', 'tracker-url': 'https://x/{{id}}' },
+            { 'ticket-pattern': '#(\\d+)', 'tracker-url': 'https://issues.example.com/{{id}}' },
+        ]);
+        assert.equal(a.name, 'jira');
+        assert.equal(b.name, 'issues.example.com');
+        assert.throws(() => createTrackers([{ name: 'bad', 'ticket-pattern': 'abc', 'tracker-url': 'https://x/{{id}}' }]), /tracker\[0\] \(bad\): Pattern must have one capture group/);
+        assert.throws(() => createTrackers([{ name: 'empty' }]), /tracker\[0\] \(empty\): needs/);
+    });
+});
+
+describe('Multiple trackers (CLI)', () => {
+    let tmpDir;
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'tracker-test-'));
+        const git = (args) => exec('git', args, { cwd: tmpDir });
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await writeFile(join(tmpDir, 'package.json'), '{"version":"1.0.0"}\n');
+        await writeFile(
+            join(tmpDir, '.cherrypickrc.json'),
+            JSON.stringify({
+                tracker: [
+                    { tracker: 'jira', 'tracker-url': 'https://team.atlassian.net/browse/{{id}}' },
+                    { name: 'github', 'ticket-pattern': 'gh-(\\d+)', 'tracker-url': 'https://github.com/acme/app/issues/{{id}}' },
+                ],
+            }),
+        );
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['checkout', '-b', 'dev']);
+        for (const subject of ['feat: PROJ-1 PROJ-2 search (gh-7)', 'fix: PROJ-3 login', 'chore: tidy']) {
+            await writeFile(join(tmpDir, `${subject.length}.txt`), subject);
+            await git(['add', '.']);
+            await git(['commit', '-m', subject]);
+        }
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('links tickets from every tracker in the rc list and counts them per tracker', async () => {
+        const { stdout } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--all-yes', '--dry-run', '--push-release=false'],
+            { cwd: tmpDir, timeout: 10000 },
+        );
+        assert.ok(stdout.includes('Tracker: 2 of 3 commits had ticket IDs linked (jira: 2, github: 1).'), stdout);
+        assert.ok(stdout.includes('[PROJ-2](https://team.atlassian.net/browse/PROJ-2) search ([gh-7](https://github.com/acme/app/issues/7))'), stdout);
+    });
+});
+
+describe('Ticket layout and --require-ticket', () => {
+    let tmpDir;
+    const run = (...args) => exec(
+        'node',
+        [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--dry-run', '--push-release=false',
+            '--tracker', 'jira', '--tracker-url', 'https://team.atlassian.net/browse/{{id}}', ...args],
+        { cwd: tmpDir, timeout: 10000 },
+    );
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'ticket-layout-test-'));
+        const git = (args) => exec('git', args, { cwd: tmpDir });
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await writeFile(join(tmpDir, 'package.json'), '{"version":"1.0.0"}\n');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['checkout', '-b', 'dev']);
+        for (const subject of ['feat: PROJ-1 search', 'fix: PROJ-1 PROJ-2 typo', 'chore: tidy']) {
+            await writeFile(join(tmpDir, `${subject.length}.txt`), subject);
+            await git(['add', '.']);
+            await git(['commit', '-m', subject]);
+        }
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('--help shows --group-by-ticket and --require-ticket', async () => {
+        const { stdout } = await exec('node', [CLI, '--help']);
+        assert.ok(stdout.includes('--group-by-ticket'), 'should show --group-by-ticket flag');
+        assert.ok(stdout.includes('--require-ticket'), 'should show --require-ticket flag');
+    });
+
+    it('groupByTicket lists a commit under each ticket and unticketed commits last', () => {
+        const a = { subject: 'a', tickets: [{ tracker: 'jira', id: 'P-1', url: 'u1' }] };
+        const b = { subject: 'b', tickets: [] };
+        const c = { subject: 'c', tickets: [{ tracker: 'jira', id: 'P-2', url: 'u2' }, { tracker: 'jira', id: 'P-1', url: 'u1' }] };
+        assert.deepEqual(
+            groupByTicket([a, b, c]).map((g) => [g.label, g.url, g.commits.map((x) => x.subject)]),
+            [
+                ['P-1', 'u1', ['a', 'c']],
+                ['P-2', 'u2', ['c']],
+                ['No ticket', null, ['b']],
+            ],
+        );
+    });
+
+    it('--group-by-ticket lays out the changelog by ticket', async () => {
+        const { stdout } = await run('--all-yes', '--group-by-ticket');
+        assert.match(stdout, /### \[PROJ-1\]\(https:\/\/team\.atlassian\.net\/browse\/PROJ-1\)\n\w{7} feat: .+ search\n\w{7} fix: .+ typo\n\n### \[PROJ-2\]/);
+        assert.match(stdout, /### No ticket\n\w{7} chore: tidy/);
+        assert.ok(!stdout.includes('### ✨ Features'), 'ticket layout replaces the type sections');
+    });
+
+    it('--require-ticket fails --ci with exit code 5 and lists the commits', async () => {
+        await assert.rejects(run('--ci', '--require-ticket'), (e) => {
+            assert.equal(e.code, 5);
+            assert.ok(e.stdout.includes('1 selected commit(s) have no ticket ID') && e.stdout.includes('chore: tidy'), e.stdout);
+            return true;
+        });
+    });
+
+    it('--require-ticket needs a tracker', async () => {
+        await assert.rejects(
+            exec('node', [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--all-yes', '--dry-run', '--push-release=false', '--require-ticket'], { cwd: tmpDir, timeout: 10000 }),
+            /--require-ticket needs a tracker/,
+        );
+    });
+});
@@ -0,0 +1,109 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { getVersionSource } from '../src/version-sources.js';
+
+const exec = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, '..', 'cli.js');
+
+function roundTrip(file, text, next) {
+    const source = getVersionSource(file);
+    return { current: source.read(text), updated: source.write(text, next) };
+}
+
+describe('Version sources', () => {
+    it('package.json: only the top-level version changes', () => {
+        const text = '{\n    "name": "app",\n    "engines": { "version": "9.9.9" },\n    "version": "1.2.3"\n}\n';
+        const { current, updated } = roundTrip('./package.json', text, '1.3.0');
+        assert.equal(current, '1.2.3');
+        assert.equal(updated, text.replace('"1.2.3"', '"1.3.0"'));
+    });
+
+    it('package.json: adds a missing version using the file indentation', () => {
+        const { updated } = roundTrip('package.json', '{\n\t"name": "app"\n}\n', '0.1.0');
+        assert.equal(updated, '{\n\t"version": "0.1.0",\n\t"name": "app"\n}\n');
+    });
+
+    it('pyproject.toml: reads [project] or [tool.poetry], keeps comments', () => {
+        const pep621 = '[build-system]\nrequires = ["hatchling"]\n\n[project]\nname = "svc"\nversion = "0.4.1"  # bumped by CI\n';
+        const { current, updated } = roundTrip('pyproject.toml', pep621, '0.5.0');
+        assert.equal(current, '0.4.1');
+        assert.equal(updated, pep621.replace('0.4.1', '0.5.0'));
+
+        const poetry = "[tool.poetry]\nname = 'svc'\nversion = '2.0.0'\n\n[tool.poetry.dependencies]\nversion = '9'\n";
+        assert.equal(roundTrip('pyproject.toml', poetry, '2.1.0').updated, poetry.replace("'2.0.0'", "'2.1.0'"));
+    });
+
+    it('Cargo.toml: bumps [package], not dependency versions', () => {
+        const text = '[package]\nname = "tool"\nversion = "1.0.0"\nedition = "2021"\n\n[dependencies.serde]\nversion = "1.0.0"\n';
+        const { current, updated } = roundTrip('crates/tool/Cargo.toml', text, '1.0.1');
+        assert.equal(current, '1.0.0');
+        assert.equal(updated, '[package]\nname = "tool"\nversion = "1.0.1"\nedition = "2021"\n\n[dependencies.serde]\nversion = "1.0.0"\n');
+    });
+
+    it('gradle.properties: keeps separators and other properties', () => {
+        const text = 'group=com.acme\r\nversion = 3.2.1\r\norg.gradle.jvmargs=-Xmx2g\r\n';
+        const { current, updated } = roundTrip('gradle.properties', text, '3.3.0');
+        assert.equal(current, '3.2.1');
+        assert.equal(updated, text.replace('3.2.1', '3.3.0'));
+    });
+
+    it('VERSION: keeps a leading v and trailing newline', () => {
+        const { current, updated } = roundTrip('VERSION', 'v1.9.0\n', '2.0.0');
+        assert.equal(current, '1.9.0');
+        assert.equal(updated, 'v2.0.0\n');
+    });
+
+    it('rejects unknown version files', () => {
+        assert.throws(() => getVersionSource('setup.cfg'), /Unsupported version file/);
+    });
+});
+
+describe('Version sources (CLI)', () => {
+    let tmpDir;
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'version-sources-test-'));
+        const git = (args) => exec('git', args, { cwd: tmpDir });
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await writeFile(join(tmpDir, 'pyproject.toml'), '[project]\nname = "svc"\nversion = "0.4.1"\n');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['tag', 'v2.7.0']);
+        await git(['checkout', '-b', 'dev']);
+        await writeFile(join(tmpDir, 'app.py'), 'print(1)\n');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'feat: app entrypoint']);
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    const run = async (versionFile) => {
+        const { stdout } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--all-yes', '--dry-run', '--push-release=false', '--version-file', versionFile],
+            { cwd: tmpDir, timeout: 10000 },
+        );
+        return stdout;
+    };
+
+    it('reads the current version from pyproject.toml', async () => {
+        const stdout = await run('./pyproject.toml');
+        assert.ok(stdout.includes('Previous: 0.4.1 → Next: 0.5.0'), stdout);
+    });
+
+    it('reads the current version from the newest v* tag with git-tag', async () => {
+        const stdout = await run('git-tag');
+        assert.ok(stdout.includes('Previous: 2.7.0 → Next: 2.8.0'), stdout);
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { findWorkspacePackages, groupCommitsByPackage } from '../src/workspaces.js';
+
+const exec = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, '..', 'cli.js');
+
+async function writePackage(root, dir, manifest) {
+    await mkdir(join(root, dir), { recursive: true });
+    await writeFile(join(root, dir, 'package.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+describe('Workspaces', () => {
+    let tmpDir;
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'workspaces-test-'));
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('--help shows --workspaces', async () => {
+        const { stdout } = await exec('node', [CLI, '--help']);
+        assert.ok(stdout.includes('--workspaces'), 'should show --workspaces flag');
+    });
+
+    it('findWorkspacePackages reads package.json workspaces with negations', async () => {
+        const root = join(tmpDir, 'npm');
+        await writePackage(root, '.', { name: 'root', workspaces: ['packages/*', '!packages/internal'] });
+        await writePackage(root, 'packages/api', { name: '@acme/api', version: '1.0.0' });
+        await writePackage(root, 'packages/web', { name: '@acme/web', version: '2.3.0' });
+        await writePackage(root, 'packages/internal', { name: 'internal', version: '0.1.0' });
+        await writePackage(root, 'packages/api/node_modules/dep', { name: 'dep', version: '9.9.9' });
+
+        const packages = await findWorkspacePackages(root);
+        assert.deepEqual(
+            packages.map((p) => [p.name, p.dir, p.version]),
+            [
+                ['@acme/api', 'packages/api', '1.0.0'],
+                ['@acme/web', 'packages/web', '2.3.0'],
+            ],
+        );
+    });
+
+    it('findWorkspacePackages reads pnpm-workspace.yaml', async () => {
+        const root = join(tmpDir, 'pnpm');
+        await writePackage(root, '.', { name: 'root' });
+        await writeFile(join(root, 'pnpm-workspace.yaml'), "packages:\n  - 'apps/*'\n  - \"libs/**\" # shared\n");
+        await writePackage(root, 'apps/site', { name: 'site', version: '1.0.0' });
+        await writePackage(root, 'libs/ui/button', { name: '@acme/button', version: '0.2.0' });
+
+        const packages = await findWorkspacePackages(root);
+        assert.deepEqual(packages.map((p) => p.dir), ['apps/site', 'libs/ui/button']);
+    });
+
+    it('groupCommitsByPackage assigns files to the deepest package', () => {
+        const packages = [{ dir: 'libs/ui' }, { dir: 'libs/ui/button' }, { dir: 'apps/site' }];
+        const fileMap = new Map([
+            ['a', new Set(['libs/ui/button/index.js'])],
+            ['b', new Set(['libs/ui/theme.js', 'apps/site/page.js'])],
+            ['c', new Set(['README.md'])],
+        ]);
+        const groups = groupCommitsByPackage(['a', 'b', 'c'], fileMap, packages);
+        assert.deepEqual(Object.fromEntries(groups), {
+            'libs/ui/button': ['a'],
+            'libs/ui': ['b'],
+            'apps/site': ['b'],
+        });
+    });
+});
+
+describe('Workspaces (CLI)', () => {
+    let tmpDir;
+
+    before(async () => {
+        tmpDir = await mkdtemp(join(tmpdir(), 'workspaces-cli-test-'));
+        const git = (args) => exec('git', args, { cwd: tmpDir });
+        await git(['init', '-b', 'main']);
+        await git(['config', 'user.name', 'test']);
+        await git(['config', 'user.email', 'test@test.com']);
+        await writePackage(tmpDir, '.', { name: 'root', version: '1.0.0', workspaces: ['packages/*'] });
+        await writePackage(tmpDir, 'packages/api', { name: '@acme/api', version: '1.0.0' });
+        await writePackage(tmpDir, 'packages/web', { name: '@acme/web', version: '2.0.0' });
+        await git(['add', '.']);
+        await git(['commit', '-m', 'init']);
+        await git(['checkout', '-b', 'dev']);
+        await writeFile(join(tmpDir, 'packages', 'api', 'x.js'), 'x');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'feat: api endpoint']);
+        await writeFile(join(tmpDir, 'packages', 'web', 'y.js'), 'y');
+        await git(['add', '.']);
+        await git(['commit', '-m', 'fix: web layout']);
+    });
+
+    after(async () => {
+        await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('--workspaces computes a bump and changelog section per package', async () => {
+        const { stdout } = await exec(
+            'node',
+            [CLI, '--no-fetch', '--dev', 'dev', '--main', 'main', '--all-yes', '--dry-run', '--push-release=false', '--workspaces'],
+            { cwd: tmpDir, timeout: 10000 },
+        );
+        assert.ok(/@acme\/api\s+1\.0\.0 → 1\.1\.0/.test(stdout), 'api should get a minor bump');
+        assert.ok(/@acme\/web\s+2\.0\.0 → 2\.0\.1/.test(stdout), 'web should get a patch bump');
+
+        const apiSection = stdout.split('## @acme/api@1.1.0')[1]?.split('## @acme/web')[0] || '';
+        assert.ok(apiSection.includes('feat: api endpoint'));
+        assert.ok(!apiSection.includes('fix: web layout'), 'package sections only list their own commits');
+        assert.ok(stdout.includes('## @acme/web@2.0.1'));
+    });
+});